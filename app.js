@@ -1,5 +1,37 @@
 import { Chord, Note, Scale, note, transpose } from "bg-tonal";
 import * as Tone from "bg-tone";
+import {
+  getBassNote,
+  getBestVoicing,
+  getChordIntervals,
+  getCloseVoicing,
+  generateVoicingOptions,
+  getVoicingPitchClasses,
+  omitChordTones
+} from "./voice-leading.js";
+import {
+  createCameraTracker,
+  createHandDetector,
+  findHandHeights,
+  playCameraHands
+} from "./camera-tracking.js";
+import {
+  MIDI_CONTROL_CHANGE,
+  MIDI_NOTE_OFF,
+  MIDI_NOTE_ON,
+  createPerformanceMidiOutput,
+  freqToMidi,
+  getFirstLeadMidiChannel,
+  getLeadBendRange,
+  getLeadMidiChannels,
+  requestMidiAccess
+} from "./midi-output.js";
+import {
+  buildMidiFile,
+  encodeWav,
+  playRecordedEvent,
+  renderRecordingOffline
+} from "./recording.js";
 
 const appState = {
   isAudioStarted: false,
@@ -16,50 +48,241 @@ const appState = {
     halfDiminished: false, // 'c' or 'Backspace'
     major: false, // 'Enter'
     minorSeventh: false, // 's' key
-    minorSix: false // 'x' key
+    minorSix: false, // 'x' key
+    sus: false, // 't' key
+    ninth: false, // 'y' key
+    eleventh: false, // 'u' key
+    thirteenth: false, // 'i' key
+    secondaryDominant: false, // 'n' key
+    borrowed: false, // 'm' key
+    tritoneSub: false, // 'l' key
+    firstInversion: false, // 'g' key
+    secondInversion: false, // 'h' key
+    thirdInversion: false // 'j' key
   },
+  bassPedal: {
+    note: null, // latched pedal bass ("G2") every chord is played over, see Bass Pedal
+    held: false, // pedal key down: chord keys pick the pedal note instead of playing
+    changed: false // a pedal note was picked during this hold
+  },
+  chordHistory: [], // last chords played, { symbol, numeral }, see Chord Readout
+  displayedChord: null, // symbol of the chord on display, null when nothing plays
   lastVoicing: null,
+  lastBass: null, // bass note under lastVoicing, for the voice leading's parallels check
   activeVoicings: {},
-  thereminSynth: null,
+  tonnetzTriad: null, // { root, isMinor } of the held Tonnetz triad, so it can be replayed
   physicalModifiers: new Set(), // Keys physically held down
   modReleaseTimeout: null,
   pendingChordStarts: {},
   voiceLeadingEnabled: true,
+  voiceLeading: null, // solver style, voice count, range and rules, see DEFAULT_VOICE_LEADING
   mobileThereminEnabled: false,
-  keyChangeKPending: false  // k + number/0/-/+ to change key
+  keyChangeKPending: false,  // k + number/0/-/+ to change key
+  midiAccess: null,
+  midiOutput: {
+    enabled: false,
+    portId: "",
+    chordChannel: 1,
+    leadChannel: 2,
+    leadMode: "bend", // "bend" = note + pitch bend, "mpe" = MPE lower zone
+    bendRange: 2, // semitones, "bend" mode only
+    localAudio: true // keep playing the built-in synths alongside MIDI
+  },
+  midiInput: {
+    enabled: false,
+    portId: "all",
+    bindings: null // MIDI message key ("note:36", "cc:20") -> input action id
+  },
+  midiLearnAction: null, // action waiting for the next MIDI message in "learn" mode
+  gamepad: {
+    enabled: true,
+    pitchAxis: "left stick Y", // see GAMEPAD_AXES
+    expressionAxis: "right stick X",
+    deadzone: 0.2, // stick travel ignored around the centre; the theremin plays beyond it
+    bindings: null // gamepad button key ("button:0") -> input action id
+  },
+  gamepadLearnAction: null, // action waiting for the next gamepad button in "learn" mode
+  sound: null, // chord / lead / reverb parameters, see DEFAULT_SOUND
+  audioGraph: null, // live voices, mixer strips and effects (see createAudioGraph)
+  mixer: null, // strip levels, bass routing and effects chain, see DEFAULT_MIXER
+  chordEngine: "synth", // "synth" or a SAMPLE_SETS key
+  chordEngineLoading: false, // samples still decoding: chords are blocked
+  looper: {
+    bpm: 100,
+    bars: 4,
+    quantize: "8n", // grid for recorded chord presses ("off" = as played)
+    countIn: true
+  },
+  theremin: {
+    snap: "free", // "free", "chromatic", "scale" or "chord" (tones of the held chords)
+    magnet: 0.6, // 0 = no pull toward the snap target, 1 = hard quantise
+    lowNote: "C3", // bottom of the range (before centring / octave shift)
+    octaves: 3,
+    centerOnKey: false, // move the range so the key root nearest its middle sits in the centre
+    xTarget: "none", // what mouse X drives, see EXPRESSION_TARGETS
+    xCurve: "linear",
+    tiltTarget: "none", // what sideways tilt (gamma) drives on mobile
+    tiltCurve: "linear",
+    cameraTarget: "volume", // what the second hand's height drives on the camera theremin
+    cameraCurve: "linear",
+    cameraHand: "right", // the hand that plays pitch in front of the camera
+    cameraSensitivity: 0.5,
+    gamepadTarget: "none", // what the gamepad's expression stick drives
+    gamepadCurve: "linear",
+    vibratoRate: 5.5, // Hz
+    vibratoDepth: 0, // 0 = off
+    vibratoDelay: 0.4, // s after the attack before the vibrato fades in
+    handVibrato: 0, // how much small, fast hand movements are turned into vibrato (0 = off)
+    voices: 1 // lead voices sounding at once, one per pointer (1 = classic mono theremin)
+  },
+  tiltCalibration: null, // mobile tilt → pitch mapping, see DEFAULT_TILT_CALIBRATION
+  thereminOctaveShift: 0 // hotkey octave shift, not saved
 };
 
-// modifier keys
-const majorModifiers = ["q", "Q", "Enter"];
-const minorModifiers = ["w", "W", "-"];
-const dominantModifiers = ["e", "E", "/"];
+// Saved settings live in localStorage under this prefix
+const STORAGE_PREFIX = "therochord.";
 
-const minorSeventhModifiers = ["s", "S", "Backspace"];
-const majorSeventhModifiers = ["a", "A", "9"];
-const diminishedModifiers = ["d", "D", "*"];
+function loadStored(name, fallback) {
+  try {
+    const raw = localStorage.getItem(STORAGE_PREFIX + name);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (err) {
+    console.warn(`Could not read saved ${name}:`, err);
+    return fallback;
+  }
+}
 
-const augmentedModifiers = ["v", "V", "+"];
-const halfDiminishedModifiers = ["c", "C", "Escape", "NumLock", "Tab"];
+function saveStored(name, value) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + name, JSON.stringify(value));
+  } catch (err) {
+    console.warn(`Could not save ${name}:`, err);
+  }
+}
 
-const rootShiftDownModifiers = ["f", "F", "0"];
-const rootShiftUpModifiers = ["r", "R", "."];
-const majorSixthModifiers = ["z", "Z", "8"];
-const minorSixModifiers = ["x", "X"];
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
 
+// Key ids by chroma (the #root-note values); the tonic actually used is spelled per mode
 const KEY_ORDER = ["C", "Db", "D", "Eb", "E", "F", "Gb", "G", "Ab", "A", "Bb", "B"];
+const SHARP_KEY_ORDER = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
 
 // Tonnetz: (fifth, third) -> chroma. Pitch at (f,t) = (7*f + 4*t) mod 12.
 function tonnetzChroma(f, t) {
   return ((7 * f + 4 * t) % 12 + 12) % 12;
 }
 function chromaToNoteName(chroma) {
-  return KEY_ORDER[chroma];
+  return spellPitchClass(chroma);
+}
+
+// -------------------------------------------------------------------
+// Enharmonic Spelling
+// -------------------------------------------------------------------
+// appState.root is the tonic spelled for the current mode (C# minor, not Db minor).
+// Notes take the name the chord they belong to gives them, else the key's, else sharps
+// in sharp keys and flats otherwise. Voicings stay simplified for playback and are only
+// respelled for display.
+
+function countAccidentals(notes) {
+  return notes.reduce((sum, n) => sum + Math.abs(Note.get(n).alt), 0);
+}
+
+function getKeyScaleNotes() {
+  return Scale.get(`${appState.root} ${appState.scaleType}`).notes;
+}
+
+// Tonic for a key chroma in a mode: the spelling whose scale needs fewer accidentals,
+// flats on a tie (Gb major)
+function getKeyTonic(chroma, scaleType) {
+  const [flat, sharp] = [KEY_ORDER[chroma], SHARP_KEY_ORDER[chroma]];
+  if (flat === sharp) return flat;
+  const count = tonic => countAccidentals(Scale.get(`${tonic} ${scaleType}`).notes);
+  return count(sharp) < count(flat) ? sharp : flat;
+}
+
+function isSharpKey() {
+  return getKeyScaleNotes().some(n => n.includes("#"));
+}
+
+// Name of a pitch class, from the chord's notes or the key (double sharps/flats are
+// left to the key's leaning)
+function spellPitchClass(chroma, chordNotes = []) {
+  const isPlain = n => Math.abs(Note.get(n).alt) < 2;
+  const fromChord = chordNotes.find(n => Note.chroma(n) === chroma && isPlain(n));
+  if (fromChord) return Note.pitchClass(fromChord);
+  const fromKey = getKeyScaleNotes().find(n => Note.chroma(n) === chroma && isPlain(n));
+  if (fromKey) return fromKey;
+  return isSharpKey() ? SHARP_KEY_ORDER[chroma] : KEY_ORDER[chroma];
+}
+
+// A MIDI note spelled by spellPitchClass, with the octave of its letter (B3 -> Cb4 in Db7)
+function spellMidi(midi, chordNotes) {
+  const pitchClass = spellPitchClass(midi % 12, chordNotes);
+  const octave = Math.floor(midi / 12) - 1;
+  return `${pitchClass}${octave - Math.round((note(pitchClass + octave).midi - midi) / 12)}`;
+}
+
+function spellNote(name, chordNotes) {
+  const { midi } = note(name);
+  return typeof midi === "number" ? spellMidi(midi, chordNotes) : name;
+}
+
+// Root for a chord of the given quality on a pitch class: the key's own note unless that
+// needs a double sharp/flat (Eb rather than D# major in E), else the spelling whose chord
+// needs fewer accidentals (C#m rather than Dbm)
+function spellChordRoot(chroma, quality) {
+  const count = root => countAccidentals(Chord.get(`${root}${quality}`).notes);
+  const isPlain = root => Chord.get(`${root}${quality}`).notes.every(n => Math.abs(Note.get(n).alt) < 2);
+  const fromKey = getKeyScaleNotes().find(n => Note.chroma(n) === chroma);
+  if (fromKey && isPlain(fromKey)) return fromKey;
+  const [flat, sharp] = [KEY_ORDER[chroma], SHARP_KEY_ORDER[chroma]];
+  if (count(sharp) !== count(flat)) return count(sharp) < count(flat) ? sharp : flat;
+  return isSharpKey() ? sharp : flat;
+}
+
+// Set the key by chroma: spell its tonic for the current mode and relabel what names notes
+function setKeyRoot(chroma) {
+  appState.root = getKeyTonic(chroma, appState.scaleType);
+  document.getElementById("root-note").value = KEY_ORDER[chroma];
+  updateKeySpelling();
+}
+
+function updateKeySpelling() {
+  // Key options read as the tonic they give in this mode (C♯ in minor, D♭ in major)
+  document.querySelectorAll("#root-note option").forEach(option => {
+    option.textContent = formatNoteName(getKeyTonic(Note.chroma(option.value), appState.scaleType));
+  });
+  updateTonnetzSpelling();
+}
+
+// Each Tonnetz triangle is named as its triad is spelled in the key (G#m but Ab in E)
+function updateTonnetzSpelling() {
+  tonnetzCellMap.forEach(rec => {
+    const chroma = Note.chroma(rec.rootName);
+    const majorRoot = spellChordRoot(chroma, "M");
+    const minorRoot = spellChordRoot(chroma, "m");
+    rec.majorCell.setAttribute("data-root", majorRoot);
+    rec.majorCell.setAttribute("aria-label", `${majorRoot} major`);
+    rec.minorCell.setAttribute("data-root", minorRoot);
+    rec.minorCell.setAttribute("aria-label", `${minorRoot} minor`);
+  });
 }
 
 // Theremin Constants
-const THEREMIN_MIN_FREQ = 130.81; // C3
-const THEREMIN_MAX_FREQ = 1046.50; // C6
-const THEREMIN_SEMITONES = 36; // 3 Octaves
+// The playable range is appState.theremin.lowNote + octaves (see getThereminRange),
+// shifted by whole octaves on the fly but always kept within these bounds.
+const THEREMIN_LOWEST_MIDI = 24; // C1
+const THEREMIN_HIGHEST_MIDI = 108; // C8
+const THEREMIN_LOW_NOTES = [1, 2, 3, 4, 5].flatMap(octave => KEY_ORDER.map(name => `${name}${octave}`));
+const THEREMIN_MAX_VOICES = 4;
 
 // Varied Tints for Keys 1-7 (Spectrum)
 const CHORD_TINTS = [
@@ -105,49 +328,209 @@ function toggleBgEffect(isActive) {
   }
 }
 
-// Initialize Synth
-function initAudio() {
-  if (appState.isAudioStarted) return;
+// -------------------------------------------------------------------
+// Sound
+// -------------------------------------------------------------------
+// Both voices are MonoSynths (the chord one wrapped in a PolySynth), so they share
+// one parameter shape. The chord filter starts wide open so it sounds like a plain synth.
+const DEFAULT_SOUND = {
+  chord: {
+    oscillator: "triangle",
+    unison: 1,
+    spread: 20,
+    detune: 0,
+    attack: 0.02,
+    decay: 0.1,
+    sustain: 0.3,
+    release: 1,
+    filterType: "lowpass",
+    cutoff: 20000,
+    resonance: 1,
+    envAmount: 0,
+    filterAttack: 0.6,
+    filterDecay: 0.2,
+    filterSustain: 0.5,
+    filterRelease: 2,
+    portamento: 0,
+    volume: -10
+  },
+  lead: {
+    oscillator: "sine",
+    unison: 1,
+    spread: 20,
+    detune: 0,
+    attack: 0.1,
+    decay: 0.1,
+    sustain: 0.9,
+    release: 1,
+    filterType: "lowpass",
+    cutoff: 200,
+    resonance: 1,
+    envAmount: 3,
+    filterAttack: 0.6,
+    filterDecay: 0.2,
+    filterSustain: 0.5,
+    filterRelease: 2,
+    portamento: 0.05, // Glide amount
+    volume: 1
+  },
+  reverb: {
+    decay: 1.5,
+    wet: 1
+  }
+};
 
-  appState.synth = new Tone.PolySynth(Tone.Synth, {
-    oscillator: { type: "triangle" },
-    volume: -10,
+// Tone options for one voice's parameters (constructor or synth.set())
+function getVoiceOptions(params) {
+  return {
+    oscillator: params.unison > 1
+      ? { type: `fat${params.oscillator}`, count: params.unison, spread: params.spread }
+      : { type: params.oscillator },
+    detune: params.detune,
+    portamento: params.portamento,
+    volume: params.volume,
     envelope: {
-      attack: 0.02,
-      decay: 0.1,
-      sustain: 0.3,
-      release: 1
+      attack: params.attack,
+      decay: params.decay,
+      sustain: params.sustain,
+      release: params.release
+    },
+    filter: { type: params.filterType, Q: params.resonance },
+    filterEnvelope: {
+      baseFrequency: params.cutoff,
+      octaves: params.envAmount,
+      attack: params.filterAttack,
+      decay: params.filterDecay,
+      sustain: params.filterSustain,
+      release: params.filterRelease
     }
-  }).toDestination();
+  };
+}
 
-  // Add some reverb for nicer sound
-  const reverb = new Tone.Reverb(1.5).toDestination();
-  appState.synth.connect(reverb);
+// Bundled sample sets for the chord voice: samples/<set>/<note>.mp3, sharps written
+// with "s" (Ds4.mp3). The Sampler repitches from the nearest listed note. The strings
+// are cello up to C5 and violin above; the electric piano is rendered from a SoundFont
+// (credits in samples/LICENSE.md).
+const SAMPLE_SETS = {
+  piano: {
+    label: "Piano",
+    notes: ["A1", "C2", "D#2", "F#2", "A2", "C3", "D#3", "F#3", "A3", "C4", "D#4", "F#4", "A4", "C5", "D#5", "F#5", "A5", "C6"],
+    release: 1
+  },
+  epiano: {
+    label: "Electric piano",
+    notes: ["C2", "F#2", "C3", "F#3", "C4", "F#4", "C5", "F#5", "C6"],
+    release: 0.8
+  },
+  organ: {
+    label: "Organ",
+    notes: ["C2", "F#2", "C3", "F#3", "C4", "F#4", "C5", "F#5", "C6"],
+    release: 0.2
+  },
+  strings: {
+    label: "String pad",
+    notes: ["C2", "G2", "C3", "G3", "C4", "G4", "C5", "G5", "C6"],
+    attack: 0.3,
+    release: 1.5
+  }
+};
 
-  // Initialize Theremin Synth (MonoSynth with visual portamento)
-  appState.thereminSynth = new Tone.MonoSynth({
-    volume: 1,
-    oscillator: { type: "sine" },
-    envelope: { attack: 0.1, max: 0.5 },
-    portamento: 0.05 // Glide amount
-  }).connect(reverb);
+function getSampleUrls(set) {
+  return Object.fromEntries(set.notes.map(n => [n, `${n.replace("#", "s")}.mp3`]));
+}
 
-  console.log("Audio Initialized");
+// Chord voice for an engine: the editable synth or a sample set. Either way it answers
+// triggerAttack/triggerRelease/releaseAll with note arrays, so voicing code doesn't care.
+// onload fires once samples are decoded (on the next tick for the synth).
+function createChordInstrument(engine, params, { onload = () => {}, onerror = () => {} } = {}) {
+  const set = SAMPLE_SETS[engine];
+  if (!set) {
+    Promise.resolve().then(onload);
+    return new Tone.PolySynth(Tone.MonoSynth, getVoiceOptions(params));
+  }
+  return new Tone.Sampler({
+    urls: getSampleUrls(set),
+    baseUrl: `samples/${engine}/`,
+    attack: set.attack || 0,
+    release: set.release,
+    volume: params.volume,
+    onload,
+    onerror
+  });
+}
 
-  // Handle Motion Permission for iOS 13+
-  if (typeof DeviceOrientationEvent !== 'undefined' && typeof DeviceOrientationEvent.requestPermission === 'function') {
-    DeviceOrientationEvent.requestPermission()
-      .then(permission => {
-        if (permission === 'granted') {
-          console.log("Motion permission granted");
-        } else {
-          console.warn("Motion permission denied");
-        }
-      })
-      .catch(err => {
-        console.error("Error requesting motion permission during initAudio:", err);
-      });
+// Dedicated bass voice (Mixer → Bass → Source: "Bass synth")
+const BASS_SYNTH_OPTIONS = {
+  oscillator: { type: "sawtooth" },
+  volume: -8,
+  envelope: { attack: 0.01, decay: 0.3, sustain: 0.6, release: 0.8 },
+  filter: { type: "lowpass", Q: 2 },
+  filterEnvelope: { baseFrequency: 120, octaves: 2.5, attack: 0.01, decay: 0.4, sustain: 0.3, release: 0.8 }
+};
+
+// Bass note of each voicing: its own synth, or another instance of the chord instrument
+// (so it still gets its own mixer strip)
+function createBassInstrument(source, engine, sound) {
+  if (source === "synth") return new Tone.PolySynth(Tone.MonoSynth, BASS_SYNTH_OPTIONS);
+  return createChordInstrument(engine, sound.chord);
+}
+
+// Build the voices, their mixer strips and the effects bus on the current Tone context
+// (the live context, or an offline one when rendering a recording):
+// voice → strip (volume/pan/mute) → master, and strip → send → effects chain → master.
+function createAudioGraph(sound = appState.sound, engine = appState.chordEngine, loadCallbacks, mixer = appState.mixer) {
+  const fx = createEffects(sound.reverb, mixer.fx);
+  const strips = {};
+  MIXER_STRIPS.forEach(name => {
+    strips[name] = createMixerStrip(mixer.strips[name], fx.input);
+  });
+
+  const synth = createChordInstrument(engine, sound.chord, loadCallbacks).connect(strips.chord.channel);
+  const bass = createBassInstrument(mixer.bassSource, engine, sound).connect(strips.bass.channel);
+  // Initialize Theremin Synths (MonoSynths with visual portamento, one per lead voice)
+  // → vibrato → expression gain (both driven by the theremin's expression axes)
+  const leadExpression = new Tone.Gain(1).connect(strips.lead.channel);
+  const leadVibrato = new Tone.Vibrato({ frequency: appState.theremin.vibratoRate, depth: 0 }).connect(leadExpression);
+  const leadVoices = Array.from({ length: THEREMIN_MAX_VOICES }, () => new Tone.MonoSynth(getVoiceOptions(sound.lead)).connect(leadVibrato));
+
+  const graph = { synth, bass, leadVoices, leadVibrato, leadExpression, reverb: fx.reverb, fx, strips };
+  connectEffectsChain(graph, mixer.fx);
+  return graph;
+}
+
+// Handle Motion Permission for iOS 13+ (must be called from a user gesture).
+// Resolves to false only when the permission was refused.
+function requestMotionPermission() {
+  if (typeof DeviceOrientationEvent === 'undefined' || typeof DeviceOrientationEvent.requestPermission !== 'function') {
+    return Promise.resolve(true);
   }
+  return DeviceOrientationEvent.requestPermission()
+    .then(permission => {
+      if (permission === 'granted') {
+        console.log("Motion permission granted");
+        return true;
+      }
+      console.warn("Motion permission denied");
+      return false;
+    })
+    .catch(err => {
+      console.error("Error requesting motion permission:", err);
+      return false;
+    });
+}
+
+// Initialize Synth
+function initAudio() {
+  if (appState.isAudioStarted) return;
+
+  const graph = createAudioGraph(appState.sound, appState.chordEngine, getChordEngineCallbacks(appState.chordEngine));
+  appState.audioGraph = graph;
+  appState.synth = graph.synth;
+
+  console.log("Audio Initialized");
+  applyLocalAudioSetting();
+
+  requestMotionPermission();
 
   appState.isAudioStarted = true;
   updateInteractionState();
@@ -156,23 +539,201 @@ function initAudio() {
   Tone.start();
 }
 
-// Helper to map quality to display string
+// -------------------------------------------------------------------
+// Voice Output
+// -------------------------------------------------------------------
+// Every attack/release of the chord and lead voices goes through these helpers,
+// so other outputs (e.g. MIDI) hear exactly what the synths hear.
+const performanceListeners = [];
+
+function onPerformanceEvent(listener) {
+  performanceListeners.push(listener);
+}
+
+function emitPerformanceEvent(event) {
+  performanceListeners.forEach(listener => listener(event));
+}
+
+function chordAttack(notes) {
+  if (!appState.synth || notes.length === 0) return;
+  appState.synth.triggerAttack(notes);
+  emitPerformanceEvent({ voice: "chord", type: "attack", notes });
+}
+
+function chordRelease(notes) {
+  if (!appState.synth || notes.length === 0) return;
+  appState.synth.triggerRelease(notes);
+  emitPerformanceEvent({ voice: "chord", type: "release", notes });
+}
+
+function bassAttack(notes) {
+  if (!appState.audioGraph || notes.length === 0) return;
+  appState.audioGraph.bass.triggerAttack(notes);
+  emitPerformanceEvent({ voice: "bass", type: "attack", notes });
+}
+
+function bassRelease(notes) {
+  if (!appState.audioGraph || notes.length === 0) return;
+  appState.audioGraph.bass.triggerRelease(notes);
+  emitPerformanceEvent({ voice: "bass", type: "release", notes });
+}
+
+// Voicings end with their bass note: chord tones go to the chord voice, the bass to the bass voice.
+// The bass slot is null while a pedal bass sounds in its place.
+function splitVoicing(voicing) {
+  return { upper: voicing.slice(0, -1), bass: voicing.slice(-1).filter(Boolean) };
+}
+
+// Move a held voicing to a new one, re-striking only the notes that changed
+function changeVoicing(currentVoicing, nextVoicing) {
+  const current = splitVoicing(currentVoicing);
+  const next = splitVoicing(nextVoicing);
+  chordRelease(current.upper.filter(n => !next.upper.includes(n)));
+  bassRelease(current.bass.filter(n => !next.bass.includes(n)));
+  chordAttack(next.upper.filter(n => !current.upper.includes(n)));
+  bassAttack(next.bass.filter(n => !current.bass.includes(n)));
+}
+
+// Lead events carry the voice index (0 unless the theremin plays polyphonically)
+function leadAttack(freq, index = 0) {
+  if (!appState.audioGraph) return;
+  appState.audioGraph.leadVoices[index].triggerAttack(freq);
+  emitPerformanceEvent({ voice: "lead", type: "attack", freq, index });
+}
+
+function leadGlide(freq, index = 0) {
+  if (!appState.audioGraph) return;
+  appState.audioGraph.leadVoices[index].setNote(freq);
+  emitPerformanceEvent({ voice: "lead", type: "glide", freq, index });
+}
+
+function leadRelease(index = 0) {
+  if (!appState.audioGraph) return;
+  appState.audioGraph.leadVoices[index].triggerRelease();
+  emitPerformanceEvent({ voice: "lead", type: "release", index });
+}
+
+// Chord qualities (Tonal symbols) the keys and modifiers can reach: the display name, the
+// lead-sheet suffix after the root, and the suffix after the roman numeral (whose case and
+// °/+ come from the triad; "triad" overrides it where the numeral carries the quality)
+const CHORD_QUALITIES = {
+  M: { name: "Major", symbol: "", numeral: "" },
+  m: { name: "Minor Triad", symbol: "m", numeral: "" },
+  dim: { name: "Diminished Triad", symbol: "°", numeral: "" },
+  aug: { name: "Augmented Triad", symbol: "+", numeral: "" },
+  "7": { name: "Dominant 7th", symbol: "7", numeral: "7" },
+  maj7: { name: "Maj 7", symbol: "maj7", numeral: "maj7" },
+  m7: { name: "Min 7", symbol: "m7", numeral: "7" },
+  dim7: { name: "Diminished 7th", symbol: "°7", numeral: "7" },
+  m7b5: { name: "m7b5", symbol: "m7♭5", numeral: "ø7", triad: "minor" },
+  "6": { name: "Major 6th", symbol: "6", numeral: "6" },
+  m6: { name: "Minor 6th", symbol: "m6", numeral: "6" },
+  "7#5": { name: "Aug 7", symbol: "7♯5", numeral: "7" },
+  sus2: { name: "Sus 2", symbol: "sus2", numeral: "sus2" },
+  sus4: { name: "Sus 4", symbol: "sus4", numeral: "sus4" },
+  "7sus4": { name: "7 Sus 4", symbol: "7sus4", numeral: "7sus4" },
+  add9: { name: "Add 9", symbol: "add9", numeral: "add9" },
+  madd9: { name: "Minor Add 9", symbol: "m(add9)", numeral: "add9" },
+  "9": { name: "Dominant 9th", symbol: "9", numeral: "9" },
+  maj9: { name: "Maj 9", symbol: "maj9", numeral: "maj9" },
+  m9: { name: "Min 9", symbol: "m9", numeral: "9" },
+  "7b9": { name: "7♭9", symbol: "7♭9", numeral: "7♭9" },
+  "7#9": { name: "7♯9", symbol: "7♯9", numeral: "7♯9" },
+  "11": { name: "Dominant 11th", symbol: "11", numeral: "11" },
+  m11: { name: "Min 11", symbol: "m11", numeral: "11" },
+  "13": { name: "Dominant 13th", symbol: "13", numeral: "13" },
+  maj13: { name: "Maj 13", symbol: "maj13", numeral: "maj13" },
+  m13: { name: "Min 13", symbol: "m13", numeral: "13" }
+};
+
+// Modifier combinations -> chord quality. Of the entries whose modifiers are all held,
+// the one with the most modifiers wins (the first listed among equals). A quality given
+// as { major, minor, dominant } follows the chord being modified: its third, and whether
+// it is already a dominant 7th (a secondary dominant, say).
+// Modifiers that appear together in an entry can be held together (see setModifier).
+const QUALITY_COMBOS = [
+  { mods: ["minor", "dominant", "ninth"], quality: "m9" },
+  { mods: ["minor", "dominant"], quality: "m7" },
+  { mods: ["minor", "majorSixth"], quality: "m6" },
+  { mods: ["minor", "ninth"], quality: "madd9" },
+  { mods: ["major", "ninth"], quality: "add9" },
+  { mods: ["diminished", "ninth"], quality: "7b9" },
+  { mods: ["augmented", "ninth"], quality: "7#9" },
+  { mods: ["dominant", "ninth"], quality: "9" },
+  { mods: ["majorSeventh", "ninth"], quality: "maj9" },
+  { mods: ["minorSeventh", "ninth"], quality: "m9" },
+  { mods: ["dominant", "eleventh"], quality: "11" },
+  { mods: ["minorSeventh", "eleventh"], quality: "m11" },
+  { mods: ["dominant", "thirteenth"], quality: "13" },
+  { mods: ["majorSeventh", "thirteenth"], quality: "maj13" },
+  { mods: ["minorSeventh", "thirteenth"], quality: "m13" },
+  { mods: ["sus", "ninth"], quality: "sus2" },
+  { mods: ["sus", "dominant"], quality: "7sus4" },
+  { mods: ["dominant"], quality: "7" },
+  { mods: ["minor"], quality: "m" },
+  { mods: ["diminished"], quality: "dim7" },
+  { mods: ["majorSixth"], quality: "6" },
+  { mods: ["augmented"], quality: "7#5" },
+  { mods: ["majorSeventh"], quality: "maj7" },
+  { mods: ["halfDiminished"], quality: "m7b5" },
+  { mods: ["minorSeventh"], quality: "m7" },
+  { mods: ["minorSix"], quality: "m6" },
+  { mods: ["major"], quality: "M" },
+  { mods: ["sus"], quality: "sus4" },
+  { mods: ["ninth"], quality: { major: "add9", minor: "madd9", dominant: "9" } },
+  { mods: ["eleventh"], quality: { major: "11", minor: "m11" } },
+  { mods: ["thirteenth"], quality: { major: "13", minor: "m13" } }
+];
+
 function getQualityName(qualitySymbol, baseName) {
-  if (!qualitySymbol) return baseName;
+  return CHORD_QUALITIES[qualitySymbol] ? CHORD_QUALITIES[qualitySymbol].name : baseName;
+}
+
+function canCombineModifiers(modA, modB) {
+  return QUALITY_COMBOS.some(combo => combo.mods.includes(modA) && combo.mods.includes(modB));
+}
+
+// Quality symbol for the held modifiers, or null when none applies
+function getModifierQuality(baseChord) {
+  let best = null;
+  QUALITY_COMBOS.forEach(combo => {
+    if (!combo.mods.every(mod => appState.modifiers[mod])) return;
+    if (!best || combo.mods.length > best.mods.length) best = combo;
+  });
+  if (!best) return null;
+  if (typeof best.quality === "string") return best.quality;
+  const intervals = getChordIntervals(baseChord);
+  if (intervals.includes("3m")) return best.quality.minor;
+  if (intervals.includes("7m") && best.quality.dominant) return best.quality.dominant;
+  return best.quality.major;
+}
+
+// Roman numerals for scale degrees 1-7
+const ROMAN_NUMERALS = ["I", "II", "III", "IV", "V", "VI", "VII"];
+
+const TRIAD_NAMES = {
+  major: "Major Triad",
+  minor: "Minor Triad",
+  diminished: "Diminished Triad",
+  augmented: "Augmented Triad"
+};
+
+// Tonal quality symbol of each diatonic triad
+const TRIAD_SYMBOLS = {
+  major: "M",
+  minor: "m",
+  diminished: "dim",
+  augmented: "aug"
+};
 
-  // Map Tonal/Internal symbols to Helper text
-  switch (qualitySymbol) {
-    case "7": return "Dominant 7th";
-    case "m": return "Minor Triad";
-    case "dim7": return "Diminished 7th";
-    case "6": return "Major 6th";
-    case "7#5": return "Aug 7";
-    case "maj7": return "Maj 7";
-    case "m7b5": return "m7b5";
-    case "m7": return "Min 7";
-    case "m6": return "Minor 6th";
-    case "M": return "Major";
-    default: return baseName; // Fallback
+// Helper: Roman numeral for a diatonic triad (upper case = major/augmented, lower case = minor/diminished)
+function getRomanNumeral(degree, triadQuality) {
+  const numeral = ROMAN_NUMERALS[degree - 1];
+  switch (triadQuality) {
+    case "minor": return numeral.toLowerCase();
+    case "diminished": return `${numeral.toLowerCase()}°`;
+    case "augmented": return `${numeral}+`;
+    default: return numeral;
   }
 }
 
@@ -200,18 +761,20 @@ function getScaleChords(root, scaleType) {
     // We can infer from the intervals or just hardcode for Major scale for now?
     // Let's use Tonal's detection to check "m", "dim", etc in the detected name
     // Or just look at intervals.
-    // Triads: [1P, 3M, 5P] -> Major, [1P, 3m, 5P] -> Minor, [1P, 3m, 5d] -> Dim
+    // Triads: [1P, 3M, 5P] -> Major, [1P, 3m, 5P] -> Minor, [1P, 3m, 5d] -> Dim, [1P, 3M, 5A] -> Aug
+    // (augmented triads show up on III+ of harmonic/melodic minor)
 
     // Simple Heuristic for Diatonic Triads
-    const rootN = Note.get(chordNotes[0]);
-    const thirdN = Note.get(chordNotes[1]);
-    const fifthN = Note.get(chordNotes[2]);
     const thirdInt = Note.distance(chordNotes[0], chordNotes[1]); // e.g. "3M" or "3m"
-    const fifthInt = Note.distance(chordNotes[0], chordNotes[2]); // e.g. "5P" or "5d"
+    const fifthInt = Note.distance(chordNotes[0], chordNotes[2]); // e.g. "5P", "5d" or "5A"
+
+    let triadQuality = null;
+    if (thirdInt === "3M" && fifthInt === "5P") triadQuality = "major";
+    else if (thirdInt === "3m" && fifthInt === "5P") triadQuality = "minor";
+    else if (thirdInt === "3m" && fifthInt === "5d") triadQuality = "diminished"; // Instruction for 'vii' (7) key usually implies Dim.
+    else if (thirdInt === "3M" && fifthInt === "5A") triadQuality = "augmented";
 
-    if (thirdInt === "3M" && fifthInt === "5P") displayName = "Major Triad";
-    else if (thirdInt === "3m" && fifthInt === "5P") displayName = "Minor Triad";
-    else if (thirdInt === "3m" && fifthInt === "5d") displayName = "Diminished Triad"; // Instruction for 'vii' (7) key usually implies Dim.
+    if (triadQuality) displayName = TRIAD_NAMES[triadQuality];
 
     // Construct full display name e.g. "C Major Triad"
     displayName = `${rootNote} ${displayName}`;
@@ -223,6 +786,9 @@ function getScaleChords(root, scaleType) {
       // playNotes will be calculated dynamically for voice leading
       name: name,
       displayName: displayName,
+      triadQuality: triadQuality,
+      quality: TRIAD_SYMBOLS[triadQuality] || "",
+      numeral: getRomanNumeral(index + 1, triadQuality),
       type: "diatonic"
     };
   });
@@ -230,6 +796,17 @@ function getScaleChords(root, scaleType) {
   return chords;
 }
 
+// Refresh the roman numerals on the 1-7 chord keys for the current scale/mode
+function updateDegreeLabels() {
+  const chords = getScaleChords(appState.root, appState.scaleType);
+  chords.forEach(chord => {
+    const keyLabel = document.querySelector(`.key[data-note="${chord.degree}"] .mod-name`);
+    if (keyLabel) keyLabel.textContent = chord.numeral;
+    const npLabel = document.querySelector(`.np-btn[data-note="${chord.degree}"] .np-label`);
+    if (npLabel) npLabel.textContent = chord.numeral;
+  });
+}
+
 function getChordWithModifiers(degreeIndex, baseChord) {
   // 1-based degree:
   const degree = degreeIndex + 1;
@@ -241,38 +818,14 @@ function getChordWithModifiers(degreeIndex, baseChord) {
   if (appState.modifiers.rootShiftDown) interval = "-2m"; // Down minor second (semitone)
   else if (appState.modifiers.rootShiftUp) interval = "2m"; // Up minor second
 
+  // 2. Determine Quality Overrides (see QUALITY_COMBOS)
+  const quality = getModifierQuality(baseChord);
+
+  // The shifted root is spelled for the chord it carries (F# rather than Gb under a D)
   if (interval) {
-    effectiveRoot = transpose(baseChord.root, interval);
-  }
-
-  // 2. Determine Quality Overrides
-  let quality = null;
-
-  // Logic:
-  // Minor + Dominant -> m7
-  if (appState.modifiers.minor && appState.modifiers.dominant) quality = "m7";
-  // Minor + Major 6th -> m6
-  else if (appState.modifiers.minor && appState.modifiers.majorSixth) quality = "m6";
-  // Dominant -> 7 (Dominant 7th)
-  else if (appState.modifiers.dominant) quality = "7";
-  // Minor -> m (Minor Triad)
-  else if (appState.modifiers.minor) quality = "m";
-  // Diminished -> dim7 (Diminished 7th)
-  else if (appState.modifiers.diminished) quality = "dim7";
-  // Major 6th -> 6
-  else if (appState.modifiers.majorSixth) quality = "6";
-  // Augmented -> 7#5 (Augmented 7th)
-  else if (appState.modifiers.augmented) quality = "7#5";
-  // Major 7th -> maj7
-  else if (appState.modifiers.majorSeventh) quality = "maj7";
-  // Half-Diminished -> m7b5
-  else if (appState.modifiers.halfDiminished) quality = "m7b5";
-  // Minor 7th -> m7
-  else if (appState.modifiers.minorSeventh) quality = "m7";
-  // Minor 6th -> m6
-  else if (appState.modifiers.minorSix) quality = "m6";
-  // Major Triad -> M
-  else if (appState.modifiers.major) quality = "M";
+    const shifted = Note.chroma(transpose(baseChord.root, interval));
+    effectiveRoot = spellChordRoot(shifted, quality || baseChord.quality || "M");
+  }
 
   // 3. Construct New Chord
   // Case A: Quality Override exists -> Generate completely new chord from effectiveRoot
@@ -286,15 +839,19 @@ function getChordWithModifiers(degreeIndex, baseChord) {
       ...baseChord,
       root: effectiveRoot,
       notes: newChord.notes,
+      intervals: newChord.intervals,
       name: newChord.name,
+      quality,
       displayName: `${effectiveRoot} ${displayQual}`,
+      secondary: interval ? null : baseChord.secondary,
       type: "override"
     };
   }
 
   // Case B: No Quality Override, but Root Override exists -> Transpose existing chord notes
   if (interval) {
-    const newNotes = baseChord.notes.map(n => transpose(n, interval));
+    const shift = Note.distance(baseChord.root, effectiveRoot);
+    const newNotes = baseChord.notes.map(n => transpose(n, shift));
     const detected = Chord.detect(newNotes);
     const name = detected.length > 0 ? detected[0] : "";
 
@@ -311,6 +868,7 @@ function getChordWithModifiers(degreeIndex, baseChord) {
       notes: newNotes,
       name: name,
       displayName: newDisplay,
+      secondary: null,
       type: "transposed"
     };
   }
@@ -319,6 +877,80 @@ function getChordWithModifiers(degreeIndex, baseChord) {
   return baseChord;
 }
 
+// -------------------------------------------------------------------
+// Functional Chords (secondary dominants, borrowed chords, tritone subs)
+// -------------------------------------------------------------------
+
+const FUNCTION_MODIFIERS = ["secondaryDominant", "borrowed", "tritoneSub"];
+
+// Degree of a note in the key's major scale, with a flat or sharp when it lies outside it
+// (Bb in C = "♭7")
+function getScaleDegree(pitch) {
+  const match = Note.distance(appState.root, Note.pitchClass(pitch)).match(/^(\d+)(\w+)$/);
+  if (!match) return "";
+  const [, number, quality] = match;
+  const degree = ((parseInt(number, 10) - 1) % 7) + 1;
+  const isPerfect = [1, 4, 5].includes(degree);
+  let accidental = "";
+  if (quality.startsWith("A")) accidental = "♯".repeat(quality.length);
+  else if (quality === "m") accidental = "♭";
+  else if (quality.startsWith("d")) accidental = "♭".repeat(isPerfect ? quality.length : quality.length + 1);
+  return `${accidental}${degree}`;
+}
+
+// Roman numeral of a chord root as a degree of the key's major scale (Bb in C = ♭VII);
+// case and symbol follow the triad quality
+function getFunctionalNumeral(chordRoot, triadQuality) {
+  const [, accidental, degree] = getScaleDegree(chordRoot).match(/^(\D*)(\d)$/);
+  return accidental + getRomanNumeral(parseInt(degree, 10), triadQuality);
+}
+
+// Dominant 7th chord on the given root
+function getDominantChord(root) {
+  const dominant = Chord.get(`${root}7`);
+  return {
+    root,
+    notes: dominant.notes,
+    intervals: dominant.intervals,
+    name: dominant.name,
+    quality: "7",
+    displayName: `${root} ${getQualityName("7", "")}`
+  };
+}
+
+// The pressed degree's chord with the held function modifiers applied, in this order:
+// - borrowed: the same degree of the parallel key (minor, or major when in a minor mode)
+// - secondaryDominant: the V7 of that chord
+// - tritoneSub: the dominant 7th a tritone away from that (subV7/x), or a tritone away
+//   from the chord itself when it isn't a secondary dominant (V becomes ♭II7)
+// Secondary dominants note what they resolve to, so the display can read "V7/ii".
+function getFunctionalChord(degreeIndex, scaleChords) {
+  const { secondaryDominant, borrowed, tritoneSub } = appState.modifiers;
+  let chord = scaleChords[degreeIndex];
+  if (!secondaryDominant && !borrowed && !tritoneSub) return chord;
+
+  if (borrowed) {
+    const parallelScale = scaleChords[0].triadQuality === "minor" ? "major" : "minor";
+    chord = { ...getScaleChords(appState.root, parallelScale)[degreeIndex], type: "borrowed" };
+  }
+
+  // The V of I is just V
+  const target = chord.degree === 1 && !borrowed ? "" : getFunctionalNumeral(chord.root, chord.triadQuality);
+  if (secondaryDominant && tritoneSub) {
+    const root = transpose(chord.root, "2m");
+    return { ...chord, ...getDominantChord(root), secondary: { numeral: "subV", target }, type: "secondaryDominant" };
+  }
+  if (secondaryDominant) {
+    const root = transpose(chord.root, "5P");
+    return { ...chord, ...getDominantChord(root), secondary: { numeral: "V", target }, type: "secondaryDominant" };
+  }
+  if (tritoneSub) {
+    const root = transpose(chord.root, "5d");
+    return { ...chord, ...getDominantChord(root), type: "tritoneSub" };
+  }
+  return chord;
+}
+
 // Helper: Update Tint (disabled – background no longer changes when playing)
 function updateTint(degreeIndex) {
   if (!chordTint) return;
@@ -327,7 +959,7 @@ function updateTint(degreeIndex) {
 
 // Start Chord (Attack)
 function startChord(degreeIndex) {
-  if (!appState.isAudioStarted) return;
+  if (!appState.isAudioStarted || appState.chordEngineLoading) return;
 
   // Apply Sepia Tint
   updateTint(degreeIndex);
@@ -336,69 +968,25 @@ function startChord(degreeIndex) {
   let chord = chords[degreeIndex]; // degreeIndex is 0-6
   if (!chord) return;
 
-  // Apply Modifiers
+  // Apply Function Modifiers (secondary dominant, borrowed chord, tritone sub), then Modifiers
+  chord = getFunctionalChord(degreeIndex, chords);
   chord = getChordWithModifiers(degreeIndex, chord);
 
   // Calculate new notes for the chord
-  const targetNotes = chord.notes;
-  let nextVoicingNotes;
-
-  if (appState.voiceLeadingEnabled) {
-    if (!appState.lastVoicing) {
-      appState.lastVoicing = targetNotes.map(n => n + "4");
-    }
-    let options = generateVoicingOptions(targetNotes, ["3", "4"]);
-    const limitMidi = note("C5").midi;
-    const validOptions = options.filter(opt => opt.every(n => note(n).midi <= limitMidi));
-    const candidates = validOptions.length > 0 ? validOptions : options;
-    nextVoicingNotes = getBestVoicing(appState.lastVoicing, candidates);
-    appState.lastVoicing = nextVoicingNotes;
-  } else {
-    nextVoicingNotes = [];
-    let currentOctave = 4;
-    let prevMidi = -1;
-    targetNotes.forEach((n, idx) => {
-      let candidateName = n + currentOctave;
-      let candidateMidi = note(candidateName).midi;
-      if (idx > 0 && candidateMidi <= prevMidi) {
-        currentOctave++;
-        candidateName = n + currentOctave;
-        candidateMidi = note(candidateName).midi;
-      }
-      nextVoicingNotes.push(candidateName);
-      prevMidi = candidateMidi;
-    });
-    appState.lastVoicing = nextVoicingNotes;
-  }
+  const nextVoicingNotes = getNextVoicing(chord);
+  appState.lastVoicing = nextVoicingNotes;
 
   // Add Bass Note
-  const notesObjs = nextVoicingNotes.map(n => note(n));
-  notesObjs.sort((a, b) => a.midi - b.midi);
-  const lowestOctave = notesObjs[0].oct;
-  const bassNote = chord.root + (lowestOctave - 1);
-  const fullVoicing = [...nextVoicingNotes, bassNote];
-  const simpleVoicing = fullVoicing.map(n => Note.simplify(n));
+  const { voicing: simpleVoicing, bass } = addBassNote(chord, nextVoicingNotes);
 
   // NOTE DIFFING: Only change what's necessary
-  const currentVoicing = appState.activeVoicings[degreeIndex] || [];
-
-  // Find notes to release (in current but not in new)
-  const toRelease = currentVoicing.filter(n => !simpleVoicing.includes(n));
-  // Find notes to attack (in new but not in current)
-  const toAttack = simpleVoicing.filter(n => !currentVoicing.includes(n));
-
-  if (toRelease.length > 0) {
-    appState.synth.triggerRelease(toRelease);
-  }
-  if (toAttack.length > 0) {
-    appState.synth.triggerAttack(toAttack);
-  }
+  changeVoicing(appState.activeVoicings[degreeIndex] || [], simpleVoicing);
 
   // Store acting voicing
   appState.activeVoicings[degreeIndex] = simpleVoicing;
 
   // UI Update
-  updateDisplay(chord, simpleVoicing);
+  updateDisplay({ ...chord, bass }, simpleVoicing);
   const keyEl = document.querySelector(`.key[data-note="${degreeIndex + 1}"]`);
   if (keyEl) keyEl.classList.add("active");
   const npBtn = document.querySelector(`.np-btn[data-note="${degreeIndex + 1}"]`);
@@ -413,19 +1001,18 @@ function stopChord(degreeIndex) {
   if (notes) {
     // Only release notes not still needed by another held chord (e.g. 7→6 while holding modifier)
     const otherDegrees = Object.keys(appState.activeVoicings).filter(k => parseInt(k, 10) !== degreeIndex);
-    const notesStillNeeded = new Set();
-    otherDegrees.forEach(k => {
-      (appState.activeVoicings[k] || []).forEach(n => notesStillNeeded.add(n));
-    });
-    const toRelease = notes.filter(n => !notesStillNeeded.has(n));
-    if (toRelease.length > 0) appState.synth.triggerRelease(toRelease);
+    const others = otherDegrees.map(k => splitVoicing(appState.activeVoicings[k] || []));
+    const upperStillNeeded = new Set(others.flatMap(v => v.upper));
+    const bassStillNeeded = new Set(others.flatMap(v => v.bass));
+    const { upper, bass } = splitVoicing(notes);
+    chordRelease(upper.filter(n => !upperStillNeeded.has(n)));
+    bassRelease(bass.filter(n => !bassStillNeeded.has(n)));
     delete appState.activeVoicings[degreeIndex];
 
     // Check if any chords left active
     if (Object.keys(appState.activeVoicings).length === 0) {
       updateTint(null); // Fade out
-      document.getElementById("current-chord").innerText = "—";
-      document.getElementById("notes-display").innerHTML = "";
+      clearDisplay();
     }
 
     const keyEl = document.querySelector(`.key[data-note="${degreeIndex + 1}"]`);
@@ -437,172 +1024,133 @@ function stopChord(degreeIndex) {
 
 const TONNETZ_VOICING_KEY = "tonnetz";
 
-function playTriadFromTonnetz(rootName, isMinor) {
-  if (!appState.isAudioStarted) return;
+function playTriadFromTonnetz(cellRoot, isMinor) {
+  if (!appState.isAudioStarted || appState.chordEngineLoading) return;
   const quality = isMinor ? "m" : "";
+  const rootName = spellChordRoot(Note.chroma(cellRoot), isMinor ? "m" : "M");
   const chordObj = Chord.get(`${rootName}${quality}`);
   const baseChord = {
     root: rootName,
     notes: chordObj.notes,
     name: chordObj.name,
+    quality: isMinor ? "m" : "M",
     displayName: `${rootName} ${isMinor ? "Minor" : "Major"}`
   };
   let chord = getChordWithModifiers(0, baseChord);
-  const targetNotes = chord.notes;
-  let nextVoicingNotes;
-  if (appState.voiceLeadingEnabled && appState.lastVoicing) {
-    const options = generateVoicingOptions(targetNotes, ["3", "4"]);
-    const limitMidi = note("C5").midi;
-    const validOptions = options.filter(opt => opt.every(n => note(n).midi <= limitMidi));
-    const candidates = validOptions.length > 0 ? validOptions : options;
-    nextVoicingNotes = getBestVoicing(appState.lastVoicing, candidates);
-  } else {
-    nextVoicingNotes = [];
-    let currentOctave = 4;
-    let prevMidi = -1;
-    targetNotes.forEach((n, idx) => {
-      let candidateName = n + currentOctave;
-      let candidateMidi = note(candidateName).midi;
-      if (idx > 0 && candidateMidi <= prevMidi) {
-        currentOctave++;
-        candidateName = n + currentOctave;
-        candidateMidi = note(candidateName).midi;
-      }
-      nextVoicingNotes.push(candidateName);
-      prevMidi = candidateMidi;
-    });
-  }
+  const nextVoicingNotes = getNextVoicing(chord);
   appState.lastVoicing = nextVoicingNotes;
-  const notesObjs = nextVoicingNotes.map(n => note(n));
-  notesObjs.sort((a, b) => a.midi - b.midi);
-  const lowestOctave = notesObjs[0].oct;
-  const bassNote = chord.root + (lowestOctave - 1);
-  const fullVoicing = [...nextVoicingNotes, bassNote];
-  const simpleVoicing = fullVoicing.map(n => Note.simplify(n));
-  const currentVoicing = appState.activeVoicings[TONNETZ_VOICING_KEY] || [];
-  const toRelease = currentVoicing.filter(n => !simpleVoicing.includes(n));
-  const toAttack = simpleVoicing.filter(n => !currentVoicing.includes(n));
-  if (toRelease.length > 0) appState.synth.triggerRelease(toRelease);
-  if (toAttack.length > 0) appState.synth.triggerAttack(toAttack);
+  const { voicing: simpleVoicing, bass } = addBassNote(chord, nextVoicingNotes);
+  changeVoicing(appState.activeVoicings[TONNETZ_VOICING_KEY] || [], simpleVoicing);
   appState.activeVoicings[TONNETZ_VOICING_KEY] = simpleVoicing;
+  appState.tonnetzTriad = { root: cellRoot, isMinor };
   updateTint(0);
-  updateDisplay(chord, simpleVoicing);
+  updateDisplay({ ...chord, bass }, simpleVoicing);
 }
 
 function stopTonnetzChord() {
   if (!appState.isAudioStarted) return;
   const notes = appState.activeVoicings[TONNETZ_VOICING_KEY];
   if (notes) {
-    appState.synth.triggerRelease(notes);
+    changeVoicing(notes, []);
     delete appState.activeVoicings[TONNETZ_VOICING_KEY];
+    appState.tonnetzTriad = null;
     if (Object.keys(appState.activeVoicings).length === 0) {
       updateTint(null);
-      document.getElementById("current-chord").innerText = "—";
-      document.getElementById("notes-display").innerHTML = "";
+      clearDisplay();
     }
   }
 }
 
-function generateVoicingOptions(notes, octaves) {
-  // Generate closed voicings for these notes in given octaves
-  // notes: ["C", "E", "G"]
-
-  let options = [];
-
-  // For each inversion (0, 1, 2...)
-  // Inversion 0: C E G
-  // Inversion 1: E G C
-  // Inversion 2: G C E
+// -------------------------------------------------------------------
+// Chord Readout (function, chord symbol, notes and history)
+// -------------------------------------------------------------------
 
-  const inversions = [];
-  const len = notes.length;
-  for (let i = 0; i < len; i++) {
-    const inv = [];
-    for (let j = 0; j < len; j++) {
-      inv.push(notes[(i + j) % len]);
-    }
-    inversions.push(inv);
-  }
-
-  // For each octave, and each inversion, assign octaves to make it valid (ascending)
-  // e.g. Inversion E G C. If base is E3, G3, C4.
-  octaves.forEach(baseOctave => {
-    inversions.forEach(invNotes => {
-      // Build absolute notes
-      let currentOctave = parseInt(baseOctave);
-      let voicing = [];
-      let lastChroma = -1;
-
-      // We need a reference 'C' to know when we wrapped?
-      // Tonal Strategy:
-      // Just assign `currentOctave` to first note.
-      // For subsequent notes, if chroma < prev chroma, increment octave.
-
-      invNotes.forEach((n, idx) => {
-        const nObj = note(n);
-        if (idx > 0) {
-          const prevNObj = note(invNotes[idx - 1]);
-          if (nObj.chroma < prevNObj.chroma) {
-            // Check strictly wrapping?
-            // Yes, E(4) -> G(7) -> C(0). 0 < 7, so C must be next octave.
-            currentOctave++;
-          }
-        }
-        voicing.push(n + currentOctave);
-      });
-      options.push(voicing);
-    });
-  });
+const CHORD_HISTORY_LENGTH = 12;
 
-  return options;
+// Note name with typographic accidentals (Bb4 -> B♭4)
+function formatNoteName(name) {
+  return name.replace(/#/g, "♯").replace(/b/g, "♭");
 }
 
-function getBestVoicing(lastVoicing, options) {
-  // Minimize total semi-tone distance
-  // We assume same number of notes for now?
-  // If number of notes differs (Triad vs 7th), we match as best we can.
-  // Logic: Pad or truncate? Or just compare first N?
-  // Let's compare all against all? No, voice-to-voice.
-  // Sort voicings by pitch? They are already sorted pitch-wise.
-
-  let best = options[0];
-  let minDiff = Infinity;
-
-  // Helper to get MIDI
-  const getMidi = (n) => note(n).midi;
-
-  const lastMidi = lastVoicing.map(getMidi);
-
-  options.forEach(opt => {
-    const currentMidi = opt.map(getMidi);
+// Lead-sheet symbol, e.g. "Dm7", "B♭", "G7/B"
+function getChordSymbol(chord) {
+  const quality = CHORD_QUALITIES[chord.quality];
+  const symbol = `${formatNoteName(chord.root)}${quality ? quality.symbol : ""}`;
+  const isSlash = chord.bass && Note.chroma(chord.bass) !== Note.chroma(chord.root);
+  if (!isSlash) return symbol;
+  return `${symbol}/${formatNoteName(spellPitchClass(Note.chroma(chord.bass), chord.notes))}`;
+}
 
-    // Calculate distance
-    // If sizes differ:
-    // Size 3 -> 4: (C E G) -> (C E G Bb). C->C, E->E, G->G, G->Bb?
-    // Let's align by pitch/index.
+// Roman numeral function relative to the key, e.g. "ii7", "♭VII", "V7/V"
+function getChordNumeral(chord) {
+  const quality = CHORD_QUALITIES[chord.quality] || CHORD_QUALITIES.M;
+  if (chord.secondary) {
+    const { numeral, target } = chord.secondary;
+    return `${numeral}${quality.numeral}${target ? `/${target}` : ""}`;
+  }
+  const intervals = getChordIntervals(chord);
+  let triadQuality = "major";
+  if (intervals.includes("3m")) triadQuality = intervals.includes("5d") ? "diminished" : "minor";
+  else if (intervals.includes("5A")) triadQuality = "augmented";
+  return getFunctionalNumeral(chord.root, quality.triad || triadQuality) + quality.numeral;
+}
 
-    let diff = 0;
-    const maxLen = Math.max(lastMidi.length, currentMidi.length);
+function updateDisplay(chord, voicing) {
+  const symbol = getChordSymbol(chord);
+  const numeral = getChordNumeral(chord);
+  document.getElementById("current-chord").innerText = symbol;
+  document.getElementById("chord-function").innerText = numeral;
+  document.getElementById("chord-name").innerText = (chord.displayName || chord.name || "").replace(/^\S+/, formatNoteName);
+
+  // Played notes with their scale degrees (the pedal stands in for an empty bass slot)
+  const notesEl = document.getElementById("notes-display");
+  notesEl.innerHTML = "";
+  voicing.map(n => n || appState.bassPedal.note).forEach(n => {
+    const noteEl = document.createElement("span");
+    noteEl.className = "note-chip";
+    noteEl.textContent = formatNoteName(spellNote(n, chord.notes));
+    const degreeEl = document.createElement("small");
+    degreeEl.textContent = getScaleDegree(spellNote(n, chord.notes));
+    noteEl.appendChild(degreeEl);
+    notesEl.appendChild(noteEl);
+  });
 
-    for (let i = 0; i < maxLen; i++) {
-      const v1 = lastMidi[i % lastMidi.length];
-      const v2 = currentMidi[i % currentMidi.length];
-      diff += Math.abs(v2 - v1);
-    }
+  // A chord joins the history when it differs from the one on display (a new press or a
+  // modifier/key change), not when held chords are merely refreshed
+  if (symbol !== appState.displayedChord) {
+    appState.displayedChord = symbol;
+    addChordHistory(symbol, numeral);
+  }
+}
 
-    if (diff < minDiff) {
-      minDiff = diff;
-      best = opt;
-    }
-  });
+function clearDisplay() {
+  document.getElementById("current-chord").innerText = "—";
+  document.getElementById("chord-function").innerText = "";
+  document.getElementById("chord-name").innerText = "";
+  document.getElementById("notes-display").innerHTML = "";
+  appState.displayedChord = null;
+}
 
-  return best;
+function addChordHistory(symbol, numeral) {
+  appState.chordHistory.push({ symbol, numeral });
+  if (appState.chordHistory.length > CHORD_HISTORY_LENGTH) appState.chordHistory.shift();
+  renderChordHistory();
 }
 
-function updateDisplay(chord, voicing) {
-  document.getElementById("current-chord").innerText = chord.displayName || chord.name || chord.notes[0];
-  // Show played notes
-  document.getElementById("notes-display").innerText = voicing.join(" - ");
+function renderChordHistory() {
+  const historyEl = document.getElementById("chord-history");
+  if (!historyEl) return;
+  historyEl.innerHTML = "";
+  appState.chordHistory.forEach(({ symbol, numeral }) => {
+    const entryEl = document.createElement("li");
+    entryEl.className = "history-chip";
+    entryEl.textContent = symbol;
+    const numeralEl = document.createElement("small");
+    numeralEl.textContent = numeral;
+    entryEl.appendChild(numeralEl);
+    historyEl.appendChild(entryEl);
+  });
+  historyEl.scrollLeft = historyEl.scrollWidth;
 }
 
 // Update Active Chords (Hot-Swap / Transitions)
@@ -610,24 +1158,21 @@ function updateActiveChords() {
   if (!appState.isAudioStarted) return;
   // Iterate over all active keys and refresh them
   Object.keys(appState.activeVoicings).forEach(key => {
+    if (key === TONNETZ_VOICING_KEY) {
+      const { root, isMinor } = appState.tonnetzTriad;
+      playTriadFromTonnetz(root, isMinor);
+      return;
+    }
     const degree = parseInt(key);
     startChord(degree); // startChord now handles note diffing internally
   });
 }
 
 function changeGlobalKey(direction) {
-  const currentKey = appState.root;
-  let index = KEY_ORDER.indexOf(currentKey);
-  if (index === -1) index = 0; // Fallback
-
-  let newIndex = (index + direction) % KEY_ORDER.length;
+  let newIndex = (Note.chroma(appState.root) + direction) % KEY_ORDER.length;
   if (newIndex < 0) newIndex = KEY_ORDER.length + newIndex;
 
-  const newKey = KEY_ORDER[newIndex];
-  appState.root = newKey;
-
-  // Update UI
-  document.getElementById("root-note").value = newKey;
+  setKeyRoot(newIndex);
 
   // Update any active chords to new key
   updateActiveChords();
@@ -646,34 +1191,27 @@ function updateModifierUI(modName, isActive) {
 // Set Modifier State (for Mouse/Keyboard)
 function setModifier(modName, isActive) {
   const transModNames = ["rootShiftUp", "rootShiftDown"];
-  const isTransMod = transModNames.includes(modName);
+  const inversionModNames = ["firstInversion", "secondInversion", "thirdInversion"];
+  const getModGroup = m => {
+    if (transModNames.includes(m)) return "trans";
+    if (inversionModNames.includes(m)) return "inversion";
+    if (FUNCTION_MODIFIERS.includes(m)) return "function";
+    return "quality";
+  };
 
   if (isActive) {
     appState.modifiers[modName] = true;
     appState.physicalModifiers.add(modName);
     updateModifierUI(modName, true);
 
-    // GROUP EXCLUSIVITY:
+    // GROUP EXCLUSIVITY: a modifier clears the others of its group (root shift,
+    // inversion or quality), except qualities that combine (see QUALITY_COMBOS).
+    // Function modifiers always stack (see getFunctionalChord).
     Object.keys(appState.modifiers).forEach(m => {
-      if (m === modName) return;
-
-      const isM7Combo = (modName === "minor" && m === "dominant") || (modName === "dominant" && m === "minor");
-      const isM6Combo = (modName === "minor" && m === "majorSixth") || (modName === "majorSixth" && m === "minor");
-      const mIsTrans = transModNames.includes(m);
-
-      if (isTransMod) {
-        // If we pressed a Trans Mod, only clear other Trans Mods
-        if (mIsTrans) {
-          appState.modifiers[m] = false;
-          updateModifierUI(m, false);
-        }
-      } else {
-        // If we pressed a Quality Mod, clear other Quality Mods (except special combos)
-        if (!mIsTrans && !isM7Combo && !isM6Combo) {
-          appState.modifiers[m] = false;
-          updateModifierUI(m, false);
-        }
-      }
+      if (m === modName || getModGroup(m) !== getModGroup(modName)) return;
+      if (getModGroup(m) === "function" || canCombineModifiers(modName, m)) return;
+      appState.modifiers[m] = false;
+      updateModifierUI(m, false);
     });
 
     if (appState.modReleaseTimeout) {
@@ -731,13 +1269,50 @@ helpModal.addEventListener("click", (e) => {
   }
 });
 
+// Settings Modal Logic
+const settingsModal = document.getElementById("settings-modal");
+const settingsBtn = document.getElementById("settings-btn");
+
+settingsBtn.addEventListener("click", () => {
+  settingsModal.style.display = "flex";
+  settingsBtn.blur();
+});
+
+document.getElementById("close-settings").addEventListener("click", () => {
+  settingsModal.style.display = "none";
+});
+
+settingsModal.addEventListener("click", (e) => {
+  if (e.target === settingsModal) {
+    settingsModal.style.display = "none";
+  }
+});
+
+function getOpenModal() {
+  return [helpModal, settingsModal].find(modal => modal.style.display === "flex") || null;
+}
+
+// Helper: true when typing into a settings field (keyboard shouldn't play chords)
+function isFormField(target) {
+  return !!target && !!target.closest && !!target.closest("input, select, textarea");
+}
+
 
 document.getElementById("root-note").addEventListener("change", (e) => {
-  appState.root = e.target.value;
+  setKeyRoot(Note.chroma(e.target.value));
   initThereminScale(); // Update Theremin grid to new key
   e.target.blur(); // Remove focus to prevent keyboard capturing
 });
 
+document.getElementById("scale-type").addEventListener("change", (e) => {
+  appState.scaleType = e.target.value;
+  setKeyRoot(Note.chroma(appState.root)); // respell the tonic for the mode
+  updateDegreeLabels(); // Roman numerals follow the mode (e.g. i, ii°, III+ in harmonic minor)
+  updateActiveChords();
+  initThereminScale(); // Theremin ticks follow the mode's notes
+  e.target.blur();
+});
+
 document.getElementById("voice-leading-btn").addEventListener("click", (e) => {
   appState.voiceLeadingEnabled = !appState.voiceLeadingEnabled;
   e.target.classList.toggle("active", appState.voiceLeadingEnabled);
@@ -782,7 +1357,7 @@ function updateLayoutUI(layoutName) {
 }
 
 function updateInteractionState() {
-  const isStarted = appState.isAudioStarted;
+  const isStarted = appState.isAudioStarted && !appState.chordEngineLoading;
   const selectors = [
     ".key",
     ".mod-key",
@@ -791,7 +1366,11 @@ function updateInteractionState() {
     "#mobile-theremin-btn",
     "#layout-toggle-btn",
     "#voice-leading-btn",
-    "#root-note"
+    "#root-note",
+    "#scale-type",
+    "#record-btn",
+    "#looper-record",
+    "#looper-play"
   ];
 
   selectors.forEach(selector => {
@@ -811,24 +1390,160 @@ document.getElementById("layout-toggle-btn").addEventListener("click", (e) => {
   e.target.blur();
 });
 
-// k + number: 1=C, 2=Db, 3=D, 4=Eb, 5=E, 6=F, 7=Gb, 8=G, 9=Ab, 0=A, -=Bb, +=B
-const KEY_CHANGE_COMBO_MAP = {
-  "1": 0,
-  "2": 1,
-  "3": 2,
-  "4": 3,
-  "5": 4,
-  "6": 5,
-  "7": 6,
-  "8": 7,
-  "9": 8,
-  "0": 9,
-  "-": 10,
-  "+": 11,
-  // for good measure -if caps is on by accident
-  "_": 10,
-  "=": 11
+// -------------------------------------------------------------------
+// Bass Note and Pedal
+// -------------------------------------------------------------------
+// The bass sits an octave below the upper voicing: the chord root, or the chord tone
+// picked by an inversion modifier. Holding the pedal key and pressing a chord key
+// latches that degree's root as a pedal bass instead: it sounds on its own, and every
+// chord played over it becomes a slash chord (IV/5). Tapping the pedal key lets go.
+const PEDAL_BASS_OCTAVE = 2;
+
+// -> { voicing: upper notes + bass slot (null under a pedal), bass: pitch class heard in the bass }
+// Also remembers the bass note as appState.lastBass for the next chord's voice leading.
+function addBassNote(chord, upperVoicing) {
+  if (appState.bassPedal.note) {
+    appState.lastBass = appState.bassPedal.note;
+    return {
+      voicing: [...upperVoicing.map(n => Note.simplify(n)), null],
+      bass: Note.pitchClass(appState.bassPedal.note)
+    };
+  }
+  const bass = getBassPitchClass(chord);
+  const bassNote = getBassNote(bass, upperVoicing);
+  appState.lastBass = bassNote;
+  return { voicing: [...upperVoicing, bassNote].map(n => Note.simplify(n)), bass };
+}
+
+// The chord root, or the chord tone picked by an inversion modifier
+function getBassPitchClass(chord) {
+  const mods = appState.modifiers;
+  const inversion = mods.thirdInversion ? 3 : mods.secondInversion ? 2 : mods.firstInversion ? 1 : 0;
+  return chord.notes[inversion] || chord.root; // a triad has no third inversion
+}
+
+// The pedal key stays lit while it's held or a pedal note is latched
+function updateBassPedalUI() {
+  const pedalKey = document.getElementById("mod-bassPedal");
+  if (pedalKey) pedalKey.classList.toggle("active", appState.bassPedal.held || appState.bassPedal.note !== null);
+}
+
+function pressBassPedal() {
+  appState.bassPedal.held = true;
+  appState.bassPedal.changed = false;
+  updateBassPedalUI();
+}
+
+function releaseBassPedal() {
+  appState.bassPedal.held = false;
+  if (!appState.bassPedal.changed) clearPedalBass();
+  updateBassPedalUI();
+}
+
+function setPedalBass(num) {
+  if (!appState.isAudioStarted) return;
+  const chord = getScaleChords(appState.root, appState.scaleType)[num - 1];
+  if (!chord) return;
+  const pedal = Note.simplify(chord.root + PEDAL_BASS_OCTAVE);
+  appState.bassPedal.changed = true;
+  if (pedal === appState.bassPedal.note) return;
+
+  const previous = appState.bassPedal.note;
+  appState.bassPedal.note = pedal;
+  if (previous) bassRelease([previous]);
+  updateActiveChords(); // held chords hand their bass over to the pedal
+  bassAttack([pedal]);
+  updateBassPedalUI();
+}
+
+function clearPedalBass() {
+  const pedal = appState.bassPedal.note;
+  if (!pedal) return;
+  appState.bassPedal.note = null;
+  bassRelease([pedal]);
+  updateActiveChords(); // held chords get their own bass back
+  updateBassPedalUI();
+}
+
+// -------------------------------------------------------------------
+// Voice Leading
+// -------------------------------------------------------------------
+// The solver lives in voice-leading.js; these are its settings and the glue to the
+// chords being played.
+const VOICING_STYLES = ["close", "open", "drop2", "drop3", "any"];
+const VOICING_VOICE_COUNTS = ["auto", "3", "4", "5"]; // auto = one voice per chord tone
+const VOICING_RANGE_NOTES = [2, 3, 4, 5, 6].flatMap(octave => KEY_ORDER.map(name => `${name}${octave}`));
+const DEFAULT_VOICE_LEADING = {
+  style: "close",
+  voices: "auto",
+  budget: 5, // most voices "auto" gives an extended chord; tones past it are left out
+  low: "C3", // lowest note of the upper voices
+  high: "C5", // highest note of the upper voices
+  keepTopNote: false,
+  avoidParallels: true,
+  avoidDoubledLeadingTone: true
 };
+const VOICE_LEADING_PARAMS = [
+  { key: "style", label: "Voicing", options: VOICING_STYLES },
+  { key: "voices", label: "Voices", options: VOICING_VOICE_COUNTS },
+  { key: "budget", label: "Voice budget (auto)", min: 3, max: 7, step: 1 },
+  { key: "low", label: "Lowest note", options: VOICING_RANGE_NOTES },
+  { key: "high", label: "Highest note", options: VOICING_RANGE_NOTES },
+  { key: "keepTopNote", label: "Keep the top note", toggle: true },
+  { key: "avoidParallels", label: "Avoid parallel 5ths/octaves", toggle: true },
+  { key: "avoidDoubledLeadingTone", label: "Don't double the leading tone", toggle: true }
+];
+
+// Upper voicing for a chord: led from the last chord played, or stacked from octave 4
+// (within the voice budget) when voice leading is off; the first chord is led from that
+// stacking too. The last and next bass notes take part in the parallels check.
+function getNextVoicing(chord) {
+  const settings = appState.voiceLeading;
+  const stacked = getCloseVoicing(omitChordTones(chord, chord.notes, settings.budget), 4);
+  if (!appState.voiceLeadingEnabled) return stacked;
+  const options = generateVoicingOptions(getVoicingPitchClasses(chord, settings, appState.root), settings);
+  const nextBass = appState.bassPedal.note || getBassPitchClass(chord);
+  return getBestVoicing(appState.lastVoicing || stacked, options, settings, appState.lastBass, nextBass) || stacked;
+}
+
+function renderVoiceLeadingSettings() {
+  const container = document.getElementById("voice-leading-params");
+  container.innerHTML = "";
+  VOICE_LEADING_PARAMS.forEach(param => {
+    container.appendChild(createParamRow(param, appState.voiceLeading[param.key], (value, isFinal) => {
+      appState.voiceLeading[param.key] = value;
+      // Keep the range the right way up
+      const lowMidi = note(appState.voiceLeading.low).midi;
+      const highMidi = note(appState.voiceLeading.high).midi;
+      if ((param.key === "low" || param.key === "high") && lowMidi >= highMidi) {
+        if (param.key === "low") appState.voiceLeading.high = VOICING_RANGE_NOTES[Math.min(VOICING_RANGE_NOTES.indexOf(value) + 12, VOICING_RANGE_NOTES.length - 1)];
+        else appState.voiceLeading.low = VOICING_RANGE_NOTES[Math.max(VOICING_RANGE_NOTES.indexOf(value) - 12, 0)];
+        renderVoiceLeadingSettings();
+      }
+      if (isFinal) saveStored("voiceLeading", appState.voiceLeading);
+    }));
+  });
+}
+
+function initVoiceLeadingSettings() {
+  const stored = loadStored("voiceLeading", {});
+  appState.voiceLeading = { ...DEFAULT_VOICE_LEADING };
+  VOICE_LEADING_PARAMS.forEach(param => {
+    const value = stored[param.key];
+    if (param.options) {
+      if (param.options.includes(value)) appState.voiceLeading[param.key] = value;
+    } else if (param.toggle) {
+      if (typeof value === "boolean") appState.voiceLeading[param.key] = value;
+    } else if (typeof value === "number") {
+      appState.voiceLeading[param.key] = Math.max(param.min, Math.min(param.max, value));
+    }
+  });
+  if (note(appState.voiceLeading.low).midi >= note(appState.voiceLeading.high).midi) {
+    appState.voiceLeading.low = DEFAULT_VOICE_LEADING.low;
+    appState.voiceLeading.high = DEFAULT_VOICE_LEADING.high;
+  }
+  renderVoiceLeadingSettings();
+}
 
 // -------------------------------------------------------------------
 // Tonnetz Board
@@ -966,31 +1681,61 @@ function initTonnetzBoard() {
   svg.appendChild(majorLayer);
   svg.appendChild(minorLayer);
 
-  const allCells = [...majorCells, ...minorCells];
-  allCells.forEach(({ el, rootName, isMinor }) => {
-    const start = (e) => {
-      e.preventDefault();
-      promptForAudioEngine(() => {
-        playTriadFromTonnetz(rootName, isMinor);
-        document.querySelectorAll(".tonnetz-cell.active").forEach(c => c.classList.remove("active"));
-        el.classList.add("active");
-      });
-    };
-    const stop = (e) => {
-      e.preventDefault();
-      stopTonnetzChord();
-      el.classList.remove("active");
-    };
-    el.addEventListener("mousedown", start);
-    el.addEventListener("mouseup", stop);
-    el.addEventListener("mouseleave", stop);
-    el.addEventListener("touchstart", start, { passive: false });
-    el.addEventListener("touchend", stop, { passive: false });
-  });
+  bindTonnetzPointers(svg);
+  updateTonnetzSpelling();
 
   container.appendChild(svg);
 }
 
+// Pointer play on the board: every contact (mouse, finger, pen) holds the triangle under
+// it, and sliding onto another triangle moves the chord there. The most recently
+// pressed or moved contact decides the chord; it stops when the last one lifts.
+const tonnetzPointers = new Map(); // pointerId -> cell, oldest first
+
+function playTonnetzCell(cell) {
+  promptForAudioEngine(() => {
+    playTriadFromTonnetz(cell.getAttribute("data-root"), cell.getAttribute("data-quality") === "minor");
+    document.querySelectorAll(".tonnetz-cell.active").forEach(c => c.classList.remove("active"));
+    cell.classList.add("active");
+  });
+}
+
+function bindTonnetzPointers(svg) {
+  svg.addEventListener("pointerdown", (e) => {
+    const cell = e.target.closest(".tonnetz-cell");
+    if (!cell || (e.pointerType === "mouse" && e.button !== 0)) return;
+    e.preventDefault();
+    // Touch contacts are captured by the first triangle; let them slide onto others
+    if (e.target.hasPointerCapture && e.target.hasPointerCapture(e.pointerId)) {
+      e.target.releasePointerCapture(e.pointerId);
+    }
+    tonnetzPointers.set(e.pointerId, cell);
+    playTonnetzCell(cell);
+  });
+
+  svg.addEventListener("pointermove", (e) => {
+    if (!tonnetzPointers.has(e.pointerId)) return;
+    const hit = document.elementFromPoint(e.clientX, e.clientY);
+    const cell = hit && hit.closest(".tonnetz-cell");
+    if (!cell || cell === tonnetzPointers.get(e.pointerId)) return;
+    tonnetzPointers.delete(e.pointerId);
+    tonnetzPointers.set(e.pointerId, cell);
+    playTonnetzCell(cell);
+  });
+
+  const release = (e) => {
+    if (!tonnetzPointers.delete(e.pointerId)) return;
+    const remaining = [...tonnetzPointers.values()];
+    if (remaining.length > 0) {
+      playTonnetzCell(remaining[remaining.length - 1]);
+      return;
+    }
+    stopTonnetzChord();
+    document.querySelectorAll(".tonnetz-cell.active").forEach(c => c.classList.remove("active"));
+  };
+  ["pointerup", "pointercancel", "pointerleave"].forEach(type => svg.addEventListener(type, release));
+}
+
 // Tonnetz: play triangle at (f, t); isMinor = true -> minor (green), false -> major (purple)
 function playTonnetzAtCoord(f, t, isMinor) {
   const key = `${f},${t}`;
@@ -1092,71 +1837,500 @@ function updateTonnetzLabelStyles() {
   });
 }
 
-function getTonnetzRowIndex(key) {
-  const k = key.toLowerCase();
-  const i = TONNETZ_ROW_KEYS.indexOf(k);
-  return i >= 0 ? i : null;
+// Tonnetz row/col presses (keyboard, MIDI). Double-press locks that dimension.
+function pressTonnetzRow(rowIdx) {
+  // Selecting a new row unlocks the row dimension
+  if (tonnetzLockedRow !== null && rowIdx !== tonnetzLockedRow) {
+    tonnetzLockedRow = null;
+  }
+  const now = Date.now();
+  const isDouble = lastTonnetzRowDown.key === rowIdx && (now - lastTonnetzRowDown.time) < TONNETZ_DOUBLE_PRESS_MS;
+  lastTonnetzRowDown = { key: rowIdx, time: now };
+  if (isDouble) {
+    tonnetzLockedRow = tonnetzLockedRow === rowIdx ? null : rowIdx;
+  } else {
+    tonnetzHeldRows.push(rowIdx);
+  }
+  applyTonnetzState();
+}
+
+function releaseTonnetzRow(rowIdx) {
+  removeLastFromArray(tonnetzHeldRows, rowIdx);
+  applyTonnetzState();
+}
+
+function pressTonnetzCol(colNum) {
+  // Selecting a new col unlocks the col dimension
+  if (tonnetzLockedCol !== null && colNum !== tonnetzLockedCol) {
+    tonnetzLockedCol = null;
+  }
+  const now = Date.now();
+  const isDouble = lastTonnetzColDown.key === colNum && (now - lastTonnetzColDown.time) < TONNETZ_DOUBLE_PRESS_MS;
+  lastTonnetzColDown = { key: colNum, time: now };
+  if (isDouble) {
+    tonnetzLockedCol = tonnetzLockedCol === colNum ? null : colNum;
+  } else {
+    tonnetzHeldCols.push(colNum);
+  }
+  applyTonnetzState();
+}
+
+function releaseTonnetzCol(colNum) {
+  removeLastFromArray(tonnetzHeldCols, colNum);
+  applyTonnetzState();
+}
+
+// Tonnetz Shift: hold = major (purple) layer on top, double-press = lock it
+function pressTonnetzShift() {
+  const now = Date.now();
+  const isDouble = (now - lastShiftKeyDown) < TONNETZ_DOUBLE_PRESS_MS;
+  lastShiftKeyDown = now;
+  if (isDouble) {
+    tonnetzShiftLocked = !tonnetzShiftLocked;
+    tonnetzShiftLayerActive = tonnetzShiftLocked;
+  } else {
+    tonnetzShiftLayerActive = true;
+  }
+  updateTonnetzShiftUI(tonnetzShiftLayerActive, tonnetzShiftLocked);
+  applyTonnetzState();
 }
 
-function getTonnetzColFromKey(key) {
-  const num = parseInt(key, 10);
-  if (num >= 1 && num <= TONNETZ_COL_COUNT) return num;
-  return null;
+function releaseTonnetzShift() {
+  if (!tonnetzShiftLocked) tonnetzShiftLayerActive = false;
+  updateTonnetzShiftUI(tonnetzShiftLayerActive, tonnetzShiftLocked);
+  applyTonnetzState();
 }
 
 function setKeyByIndex(index) {
-  const root = KEY_ORDER[index];
-  if (!root) return;
-  appState.root = root;
-  document.getElementById("root-note").value = root;
+  if (!KEY_ORDER[index]) return;
+  setKeyRoot(index);
   updateActiveChords();
   initThereminScale();
 }
 
+// -------------------------------------------------------------------
+// Input Actions
+// -------------------------------------------------------------------
+// Everything a controller can bind to. Ids look like "degree:1", "modifier:minor",
+// "tonnetzRow:0" and are dispatched through performAction. The context decides
+// when a keyboard binding is live (see Keyboard Bindings below).
+const MODIFIER_LABELS = {
+  major: "Major",
+  minor: "Minor",
+  dominant: "Dominant 7th",
+  majorSeventh: "Major 7th",
+  minorSeventh: "Minor 7th",
+  diminished: "Diminished 7th",
+  majorSixth: "Major 6th",
+  minorSix: "Minor 6th",
+  halfDiminished: "Half-diminished",
+  augmented: "Augmented 7th",
+  rootShiftUp: "Root ♯",
+  rootShiftDown: "Root ♭",
+  firstInversion: "1st inversion",
+  secondInversion: "2nd inversion",
+  thirdInversion: "3rd inversion",
+  sus: "Sus 4",
+  ninth: "9th",
+  eleventh: "11th",
+  thirteenth: "13th",
+  secondaryDominant: "Secondary dominant",
+  borrowed: "Borrowed (parallel key)",
+  tritoneSub: "Tritone substitution"
+};
+
+const INPUT_ACTIONS = [
+  ...[1, 2, 3, 4, 5, 6, 7].map(n => ({ id: `degree:${n}`, label: `Chord ${n}`, group: "Chords", context: "chords" })),
+  ...Object.keys(MODIFIER_LABELS).map(mod => ({ id: `modifier:${mod}`, label: MODIFIER_LABELS[mod], group: "Modifiers", context: "chords" })),
+  ...TONNETZ_ROW_KEYS.map((_, i) => ({ id: `tonnetzRow:${i}`, label: `Row ${i + 1}`, group: "Tonnetz", context: "tonnetz" })),
+  ...Array.from({ length: TONNETZ_COL_COUNT }, (_, i) => ({ id: `tonnetzCol:${i + 1}`, label: `Column ${i + 1}`, group: "Tonnetz", context: "tonnetz" })),
+  { id: "bassPedal", label: "Pedal bass (hold, then a chord key; tap to release)", group: "Modifiers", context: "chords" },
+  { id: "tonnetzShift", label: "Major layer (double-press locks)", group: "Tonnetz", context: "tonnetz" },
+  { id: "keySelect", label: "Jump to key (hold, then a key below)", group: "Key", context: "chords", keyboardOnly: true },
+  { id: "keyShift:up", label: "Key up a semitone (with Major held)", group: "Key", context: "keyShift" },
+  { id: "keyShift:down", label: "Key down a semitone (with Major held)", group: "Key", context: "keyShift" },
+  ...KEY_ORDER.map((root, i) => ({ id: `setKey:${i}`, label: `Key of ${root.replace("b", "♭")}`, group: "Key", context: "keySelect" })),
+  { id: "looper:record", label: "Record / overdub", group: "Looper", context: "chords" },
+  { id: "looper:play", label: "Play / stop", group: "Looper", context: "chords" },
+  { id: "looper:undo", label: "Undo last layer", group: "Looper", context: "chords" },
+  { id: "looper:clear", label: "Clear loop", group: "Looper", context: "chords" },
+  { id: "theremin:octaveUp", label: "Theremin octave up", group: "Theremin", context: "chords" },
+  { id: "theremin:octaveDown", label: "Theremin octave down", group: "Theremin", context: "chords" }
+];
+
+function getInputAction(actionId) {
+  return INPUT_ACTIONS.find(action => action.id === actionId) || null;
+}
+
+// Press/release an action from any controller
+function performAction(actionId, isPressed) {
+  const [type, value] = actionId.split(":");
+  switch (type) {
+    case "degree": {
+      const num = parseInt(value, 10);
+      if (isPressed) pressDegree(num);
+      else releaseDegree(num);
+      break;
+    }
+    case "modifier":
+      setModifier(value, isPressed);
+      break;
+    // Tonnetz actions only play while the board is shown (MIDI and gamepad bindings
+    // fire regardless of layout, unlike the keyboard); releases still go through so
+    // nothing stays held across a layout switch
+    case "tonnetzRow": {
+      const rowIdx = parseInt(value, 10);
+      if (isPressed) {
+        if (isTonnetzLayoutActive()) pressTonnetzRow(rowIdx);
+      } else {
+        releaseTonnetzRow(rowIdx);
+      }
+      break;
+    }
+    case "tonnetzCol": {
+      const colNum = parseInt(value, 10);
+      if (isPressed) {
+        if (isTonnetzLayoutActive()) pressTonnetzCol(colNum);
+      } else {
+        releaseTonnetzCol(colNum);
+      }
+      break;
+    }
+    case "bassPedal":
+      if (isPressed) pressBassPedal();
+      else releaseBassPedal();
+      break;
+    case "tonnetzShift":
+      if (isPressed) {
+        if (isTonnetzLayoutActive()) pressTonnetzShift();
+      } else {
+        releaseTonnetzShift();
+      }
+      break;
+    case "keySelect":
+      appState.keyChangeKPending = isPressed;
+      break;
+    case "keyShift":
+      if (isPressed) changeGlobalKey(value === "up" ? 1 : -1);
+      break;
+    case "setKey":
+      if (isPressed) setKeyByIndex(parseInt(value, 10));
+      break;
+    case "looper":
+      if (isPressed) performLooperAction(value);
+      break;
+    case "theremin":
+      if (isPressed) shiftThereminOctave(value === "octaveUp" ? 1 : -1);
+      break;
+    default:
+      console.warn(`Unknown input action: ${actionId}`);
+  }
+}
+
+// Binding table shared by the keymap editor and MIDI learn: one row per action with
+// its bindings (click one to remove it) and a Learn/Cancel button.
+function renderBindingTable(list, { actions, getBindings, describe, learningId, onLearn, onRemove, getConflicts }) {
+  list.innerHTML = "";
+
+  let currentGroup = null;
+  actions.forEach(action => {
+    if (action.group !== currentGroup) {
+      currentGroup = action.group;
+      const heading = document.createElement("div");
+      heading.className = "mapping-group";
+      heading.textContent = currentGroup;
+      list.appendChild(heading);
+    }
+
+    const isLearning = learningId === action.id;
+    const bindings = getBindings(action.id);
+    const conflicts = getConflicts ? getConflicts(action.id) : [];
+
+    const row = document.createElement("div");
+    row.className = "mapping-row";
+    row.classList.toggle("learning", isLearning);
+    row.classList.toggle("conflict", conflicts.length > 0);
+
+    const label = document.createElement("span");
+    label.textContent = action.label;
+
+    const bindingEl = document.createElement("span");
+    bindingEl.className = "mapping-binding";
+    if (isLearning) {
+      bindingEl.textContent = "waiting…";
+    } else if (bindings.length === 0) {
+      bindingEl.textContent = "—";
+    } else {
+      bindings.forEach(binding => {
+        const chip = document.createElement("button");
+        chip.className = "binding-chip";
+        chip.textContent = describe(binding);
+        chip.title = "Remove";
+        chip.setAttribute("aria-label", `Remove ${describe(binding)} from ${action.label}`);
+        chip.addEventListener("click", () => onRemove(action.id, binding));
+        bindingEl.appendChild(chip);
+      });
+    }
+
+    const learnBtn = document.createElement("button");
+    learnBtn.textContent = isLearning ? "Cancel" : "Learn";
+    learnBtn.addEventListener("click", () => onLearn(isLearning ? null : action.id));
+
+    row.append(label, bindingEl, learnBtn);
+    if (conflicts.length > 0) {
+      const warning = document.createElement("span");
+      warning.className = "mapping-warning";
+      warning.textContent = `⚠ ${conflicts.join("; ")}`;
+      row.appendChild(warning);
+    }
+    list.appendChild(row);
+  });
+}
+
+// -------------------------------------------------------------------
+// Keyboard Bindings
+// -------------------------------------------------------------------
+// Keymap: action id -> keys (KeyboardEvent.key, single characters lower-cased).
+// Bindings only conflict within a context: "tonnetz" keys win while the Tonnetz layout
+// is shown, "keyShift" keys while Major is held, "keySelect" keys right after Jump to key.
+const DEFAULT_KEYMAP = {
+  ...Object.fromEntries([1, 2, 3, 4, 5, 6, 7].map(n => [`degree:${n}`, [String(n)]])),
+  "modifier:major": ["q", "Enter"],
+  "modifier:minor": ["w", "-"],
+  "modifier:dominant": ["e", "/"],
+  "modifier:minorSeventh": ["s", "Backspace"],
+  "modifier:majorSeventh": ["a", "9"],
+  "modifier:diminished": ["d", "*"],
+  "modifier:augmented": ["v", "+"],
+  "modifier:halfDiminished": ["c", "Escape", "NumLock", "Tab"],
+  "modifier:rootShiftDown": ["f", "0"],
+  "modifier:rootShiftUp": ["r", "."],
+  "modifier:majorSixth": ["z", "8"],
+  "modifier:minorSix": ["x"],
+  "modifier:sus": ["t"],
+  "modifier:ninth": ["y"],
+  "modifier:eleventh": ["u"],
+  "modifier:thirteenth": ["i"],
+  "modifier:secondaryDominant": ["n"],
+  "modifier:borrowed": ["m"],
+  "modifier:tritoneSub": ["l"],
+  "modifier:firstInversion": ["g"],
+  "modifier:secondInversion": ["h"],
+  "modifier:thirdInversion": ["j"],
+  "bassPedal": ["b"],
+  ...Object.fromEntries(TONNETZ_ROW_KEYS.map((key, i) => [`tonnetzRow:${i}`, [key]])),
+  ...Object.fromEntries(Array.from({ length: TONNETZ_COL_COUNT }, (_, i) => [`tonnetzCol:${i + 1}`, [String(i + 1)]])),
+  "tonnetzShift": ["Shift"],
+  "keySelect": ["k"],
+  // HIDDEN HOTKEY: Global Key Shift (Enter + +/-)
+  "keyShift:up": ["+", "="],
+  "keyShift:down": ["-", "_"],
+  // k + number: 1=C, 2=Db, 3=D, 4=Eb, 5=E, 6=F, 7=Gb, 8=G, 9=Ab, 0=A, -=Bb, +=B
+  ...Object.fromEntries(["1", "2", "3", "4", "5", "6", "7", "8", "9", "0"].map((key, i) => [`setKey:${i}`, [key]])),
+  // for good measure -if caps is on by accident
+  "setKey:10": ["-", "_"],
+  "setKey:11": ["+", "="],
+  "theremin:octaveUp": ["ArrowUp"],
+  "theremin:octaveDown": ["ArrowDown"]
+};
+
+// context -> key -> action ids, rebuilt whenever the keymap changes
+let keymapIndex = new Map();
+
+function normalizeKey(key) {
+  return key.length === 1 ? key.toLowerCase() : key;
+}
+
+function describeKey(key) {
+  const names = { " ": "Space", ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→" };
+  return names[key] || (key.length === 1 ? key.toUpperCase() : key);
+}
+
+// Keep only known actions and string keys (stored or imported keymaps)
+function sanitizeKeymap(raw) {
+  if (!raw || typeof raw !== "object") throw new Error("Keymap must be a JSON object");
+  const keymap = {};
+  INPUT_ACTIONS.forEach(action => {
+    const keys = raw[action.id];
+    if (Array.isArray(keys)) {
+      keymap[action.id] = [...new Set(keys.filter(k => typeof k === "string" && k.length > 0).map(normalizeKey))];
+    }
+  });
+  return keymap;
+}
+
+function rebuildKeymapIndex() {
+  keymapIndex = new Map();
+  INPUT_ACTIONS.forEach(action => {
+    if (!keymapIndex.has(action.context)) keymapIndex.set(action.context, new Map());
+    const byKey = keymapIndex.get(action.context);
+    (appState.keymap[action.id] || []).forEach(key => {
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(action.id);
+    });
+  });
+}
+
+function getKeyActions(context, key) {
+  const byKey = keymapIndex.get(context);
+  return (byKey && byKey.get(normalizeKey(key))) || [];
+}
+
+function getKeymapConflicts(actionId) {
+  const action = getInputAction(actionId);
+  const conflicts = [];
+  (appState.keymap[actionId] || []).forEach(key => {
+    getKeyActions(action.context, key).forEach(otherId => {
+      if (otherId !== actionId) conflicts.push(`${describeKey(key)} also plays ${getInputAction(otherId).label}`);
+    });
+  });
+  return conflicts;
+}
+
+function setKeymap(keymap) {
+  appState.keymap = keymap;
+  saveStored("keymap", keymap);
+  rebuildKeymapIndex();
+  updateKeyLabels();
+  renderKeymapEditor();
+}
+
+// Label shown on on-screen keys: prefer a single character binding ("Q" over "Enter")
+function getPrimaryKeyLabel(actionId) {
+  const keys = appState.keymap[actionId] || [];
+  const key = keys.find(k => k.length === 1) || keys[0];
+  return key ? describeKey(key) : "";
+}
+
+function updateKeyLabels() {
+  Object.keys(MODIFIER_LABELS).forEach(mod => {
+    const modKey = document.getElementById(`mod-${mod}`);
+    if (!modKey) return;
+    const keyLabel = getPrimaryKeyLabel(`modifier:${mod}`);
+    modKey.querySelector(".key-label").textContent = keyLabel;
+    modKey.title = modKey.title.replace(/\s*\(.*\)$/, keyLabel ? ` (${keyLabel})` : "");
+  });
+  document.querySelectorAll(".key[data-note]").forEach(keyEl => {
+    const label = keyEl.querySelector(".key-label");
+    if (label) label.textContent = getPrimaryKeyLabel(`degree:${keyEl.getAttribute("data-note")}`);
+  });
+  document.querySelectorAll(".tonnetz-row-label").forEach(el => {
+    el.textContent = getPrimaryKeyLabel(`tonnetzRow:${el.getAttribute("data-row")}`).toLowerCase();
+  });
+  document.querySelectorAll(".tonnetz-col-label").forEach(el => {
+    el.textContent = getPrimaryKeyLabel(`tonnetzCol:${el.getAttribute("data-col")}`).toLowerCase();
+  });
+}
+
+// Keymap editor: "Learn" captures the next key press before the instrument sees it
+function handleKeyCapture(e) {
+  if (!appState.keyCaptureAction) return;
+  e.preventDefault();
+  e.stopImmediatePropagation();
+  if (e.repeat) return;
+
+  const actionId = appState.keyCaptureAction;
+  appState.keyCaptureAction = null;
+  if (e.key !== "Escape") {
+    const keys = appState.keymap[actionId] || [];
+    const key = normalizeKey(e.key);
+    if (!keys.includes(key)) {
+      setKeymap({ ...appState.keymap, [actionId]: [...keys, key] });
+      return;
+    }
+  }
+  renderKeymapEditor();
+}
+
+window.addEventListener("keydown", handleKeyCapture, true);
+
+function renderKeymapEditor() {
+  const list = document.getElementById("keymap-list");
+  if (!list) return;
+  renderBindingTable(list, {
+    actions: INPUT_ACTIONS,
+    getBindings: actionId => appState.keymap[actionId] || [],
+    describe: describeKey,
+    learningId: appState.keyCaptureAction,
+    getConflicts: getKeymapConflicts,
+    onLearn: actionId => {
+      appState.keyCaptureAction = actionId;
+      renderKeymapEditor();
+    },
+    onRemove: (actionId, key) => {
+      setKeymap({ ...appState.keymap, [actionId]: appState.keymap[actionId].filter(k => k !== key) });
+    }
+  });
+}
+
+function exportKeymap() {
+  const json = JSON.stringify({ type: "therochord-keymap", version: 1, keymap: appState.keymap }, null, 2);
+  downloadBlob(new Blob([json], { type: "application/json" }), "therochord-keymap.json");
+}
+
+function importKeymap(file) {
+  file.text()
+    .then(text => {
+      const data = JSON.parse(text);
+      setKeymap({ ...DEFAULT_KEYMAP, ...sanitizeKeymap(data.keymap || data) });
+    })
+    .catch(err => {
+      console.warn("Could not import keymap:", err);
+      alert(`Could not import keymap: ${err.message}`);
+    });
+}
+
+function initKeymapSettings() {
+  const stored = loadStored("keymap", null);
+  let keymap = { ...DEFAULT_KEYMAP };
+  if (stored) {
+    try {
+      keymap = { ...keymap, ...sanitizeKeymap(stored) };
+    } catch (err) {
+      console.warn("Ignoring saved keymap:", err);
+    }
+  }
+  appState.keymap = keymap;
+  rebuildKeymapIndex();
+  updateKeyLabels();
+  renderKeymapEditor();
+
+  const fileInput = document.getElementById("keymap-import-file");
+  document.getElementById("keymap-export").addEventListener("click", exportKeymap);
+  document.getElementById("keymap-import").addEventListener("click", () => fileInput.click());
+  fileInput.addEventListener("change", () => {
+    if (fileInput.files[0]) importKeymap(fileInput.files[0]);
+    fileInput.value = "";
+  });
+  document.getElementById("keymap-reset").addEventListener("click", () => {
+    appState.keyCaptureAction = null;
+    setKeymap({ ...DEFAULT_KEYMAP });
+  });
+}
+
 // Keyboard Input
 window.addEventListener("keydown", (e) => {
   if (e.repeat) return; // Prevent auto-repeat re-triggering globally
+  if (isFormField(e.target)) return;
 
-  // Key-change combo: k then 1-9, 0, -, + (cleared on k keyup)
+  // Key-change combo: k then 1-9, 0, -, + (one key per press of k)
   if (appState.keyChangeKPending) {
-    const idx = KEY_CHANGE_COMBO_MAP[e.key];
-    if (idx !== undefined) {
+    const [setKeyAction] = getKeyActions("keySelect", e.key);
+    appState.keyChangeKPending = false;
+    if (setKeyAction) {
       e.preventDefault();
-      appState.keyChangeKPending = false;
-      setKeyByIndex(idx);
+      performAction(setKeyAction, true);
       return;
     }
-    appState.keyChangeKPending = false;
-  }
-  if (e.key === "k" || e.key === "K") {
-    appState.keyChangeKPending = true;
-    e.preventDefault();
-    return;
   }
 
-  // Check if key is one of ours
-  const isModifier = dominantModifiers.includes(e.key) ||
-    minorModifiers.includes(e.key) ||
-    diminishedModifiers.includes(e.key) ||
-    majorSixthModifiers.includes(e.key) ||
-    augmentedModifiers.includes(e.key) ||
-    rootShiftDownModifiers.includes(e.key) ||
-    rootShiftUpModifiers.includes(e.key) ||
-    majorSeventhModifiers.includes(e.key) ||
-    halfDiminishedModifiers.includes(e.key) ||
-    minorSeventhModifiers.includes(e.key) ||
-    minorSixModifiers.includes(e.key) ||
-    majorModifiers.includes(e.key);
-
-  const num = parseInt(e.key);
-  const isNoteKey = !isNaN(num) && num >= 1 && num <= 7;
-
   // Enter to start Audio
+  const openModal = getOpenModal();
   if (e.key === "Enter") {
     // If modal is open, close it? Or just ignore Enter?
-    if (helpModal.style.display === "flex") {
+    if (openModal) {
       e.preventDefault();
-      helpModal.style.display = "none";
+      openModal.style.display = "none";
       return;
     }
 
@@ -1168,166 +2342,77 @@ window.addEventListener("keydown", (e) => {
   }
 
   // Escape to close logic
-  if (e.key === "Escape" && helpModal.style.display === "flex") {
-    helpModal.style.display = "none";
+  if (e.key === "Escape" && openModal) {
+    openModal.style.display = "none";
     return;
   }
 
-  // Tonnetz layout: hold Shift = major on top, release = minor. Double-press Shift = lock.
+  // Tonnetz layout: rows, columns and Shift take precedence over chord keys
   if (isTonnetzLayoutActive()) {
-    if (e.key === "Shift") {
-      e.preventDefault();
-      const now = Date.now();
-      const isDouble = (now - lastShiftKeyDown) < TONNETZ_DOUBLE_PRESS_MS;
-      lastShiftKeyDown = now;
-      if (isDouble) {
-        tonnetzShiftLocked = !tonnetzShiftLocked;
-        tonnetzShiftLayerActive = tonnetzShiftLocked;
-      } else {
-        tonnetzShiftLayerActive = true;
-      }
-      updateTonnetzShiftUI(tonnetzShiftLayerActive, tonnetzShiftLocked);
-      applyTonnetzState();
-      return;
-    }
-    const rowIdx = getTonnetzRowIndex(e.key);
-    const colNum = getTonnetzColFromKey(e.key);
-    if (rowIdx !== null) {
-      e.preventDefault();
-      // Selecting a new row unlocks the row dimension
-      if (tonnetzLockedRow !== null && rowIdx !== tonnetzLockedRow) {
-        tonnetzLockedRow = null;
-      }
-      const now = Date.now();
-      const isDouble = lastTonnetzRowDown.key === rowIdx && (now - lastTonnetzRowDown.time) < TONNETZ_DOUBLE_PRESS_MS;
-      lastTonnetzRowDown = { key: rowIdx, time: now };
-      if (isDouble) {
-        tonnetzLockedRow = tonnetzLockedRow === rowIdx ? null : rowIdx;
-      } else {
-        tonnetzHeldRows.push(rowIdx);
-      }
-      applyTonnetzState();
-      return;
-    }
-    if (colNum !== null) {
+    const tonnetzActions = getKeyActions("tonnetz", e.key);
+    if (tonnetzActions.length > 0) {
       e.preventDefault();
-      // Selecting a new col unlocks the col dimension
-      if (tonnetzLockedCol !== null && colNum !== tonnetzLockedCol) {
-        tonnetzLockedCol = null;
-      }
-      const now = Date.now();
-      const isDouble = lastTonnetzColDown.key === colNum && (now - lastTonnetzColDown.time) < TONNETZ_DOUBLE_PRESS_MS;
-      lastTonnetzColDown = { key: colNum, time: now };
-      if (isDouble) {
-        tonnetzLockedCol = tonnetzLockedCol === colNum ? null : colNum;
-      } else {
-        tonnetzHeldCols.push(colNum);
-      }
-      applyTonnetzState();
+      tonnetzActions.forEach(actionId => performAction(actionId, true));
       return;
     }
   }
 
-  if (isModifier || isNoteKey) {
-    e.preventDefault(); // Stop browser scrolling/selecting/focus moving
-  }
-
-  let modChanged = false;
-
   // HIDDEN HOTKEY: Global Key Shift (Enter + +/-)
   if (appState.modifiers.major) {
-    if (e.key === "+" || e.key === "=") {
-      e.preventDefault();
-      changeGlobalKey(1);
-      return;
-    }
-    if (e.key === "-" || e.key === "_") {
+    const keyShiftActions = getKeyActions("keyShift", e.key);
+    if (keyShiftActions.length > 0) {
       e.preventDefault();
-      changeGlobalKey(-1);
+      keyShiftActions.forEach(actionId => performAction(actionId, true));
       return;
     }
   }
 
-  // Modifiers tracking
-  if (dominantModifiers.includes(e.key)) { setModifier("dominant", true); modChanged = true; }
-  if (minorModifiers.includes(e.key)) { setModifier("minor", true); modChanged = true; }
-  if (diminishedModifiers.includes(e.key)) { setModifier("diminished", true); modChanged = true; }
-  if (majorSixthModifiers.includes(e.key)) { setModifier("majorSixth", true); modChanged = true; }
-  if (augmentedModifiers.includes(e.key)) { setModifier("augmented", true); modChanged = true; }
-  if (rootShiftDownModifiers.includes(e.key)) { setModifier("rootShiftDown", true); modChanged = true; }
-  if (rootShiftUpModifiers.includes(e.key)) { setModifier("rootShiftUp", true); modChanged = true; }
-  if (majorSeventhModifiers.includes(e.key)) { setModifier("majorSeventh", true); modChanged = true; }
-  if (halfDiminishedModifiers.includes(e.key)) { setModifier("halfDiminished", true); modChanged = true; }
-  if (minorSeventhModifiers.includes(e.key)) { setModifier("minorSeventh", true); modChanged = true; }
-  if (minorSixModifiers.includes(e.key)) { setModifier("minorSix", true); modChanged = true; }
-  if (majorModifiers.includes(e.key)) { setModifier("major", true); modChanged = true; }
-
-
-
-  if (!isNaN(num) && num >= 1 && num <= 7) {
-    promptForAudioEngine(() => {
-      // Debounce/Latency for Modifier Sync (20ms)
-      // If user presses Key then Modifier within 20ms, we want the modified chord.
-      appState.pendingChordStarts[num] = setTimeout(() => {
-        startChord(num - 1);
-        delete appState.pendingChordStarts[num];
-      }, 25);
-    });
+  const chordActions = getKeyActions("chords", e.key);
+  if (chordActions.length > 0) {
+    e.preventDefault(); // Stop browser scrolling/selecting/focus moving
+    chordActions.forEach(actionId => performAction(actionId, true));
   }
 });
 
 window.addEventListener("keyup", (e) => {
+  if (isFormField(e.target)) return;
   // Tonnetz layout: release row/col or Shift updates state (hold Shift = major on top)
   if (isTonnetzLayoutActive()) {
-    if (e.key === "Shift") {
-      if (!tonnetzShiftLocked) tonnetzShiftLayerActive = false;
-      updateTonnetzShiftUI(tonnetzShiftLayerActive, tonnetzShiftLocked);
-      e.preventDefault();
-      applyTonnetzState();
-      return;
-    }
-    const rowIdx = getTonnetzRowIndex(e.key);
-    const colNum = getTonnetzColFromKey(e.key);
-    if (rowIdx !== null) {
-      e.preventDefault();
-      removeLastFromArray(tonnetzHeldRows, rowIdx);
-      applyTonnetzState();
-      return;
-    }
-    if (colNum !== null) {
+    const tonnetzActions = getKeyActions("tonnetz", e.key);
+    if (tonnetzActions.length > 0) {
       e.preventDefault();
-      removeLastFromArray(tonnetzHeldCols, colNum);
-      applyTonnetzState();
+      tonnetzActions.forEach(actionId => performAction(actionId, false));
       return;
     }
   }
 
-  let modChanged = false;
-  // Modifiers tracking
-  if (dominantModifiers.includes(e.key)) { setModifier("dominant", false); }
-  if (minorModifiers.includes(e.key)) { setModifier("minor", false); }
-  if (diminishedModifiers.includes(e.key)) { setModifier("diminished", false); }
-  if (majorSixthModifiers.includes(e.key)) { setModifier("majorSixth", false); }
-  if (augmentedModifiers.includes(e.key)) { setModifier("augmented", false); }
-  if (rootShiftDownModifiers.includes(e.key)) { setModifier("rootShiftDown", false); }
-  if (rootShiftUpModifiers.includes(e.key)) { setModifier("rootShiftUp", false); }
-  if (majorSeventhModifiers.includes(e.key)) { setModifier("majorSeventh", false); }
-  if (halfDiminishedModifiers.includes(e.key)) { setModifier("halfDiminished", false); }
-  if (minorSeventhModifiers.includes(e.key)) { setModifier("minorSeventh", false); }
-  if (minorSixModifiers.includes(e.key)) { setModifier("minorSix", false); }
-  if (majorModifiers.includes(e.key)) { setModifier("major", false); }
-  if (e.key === "k" || e.key === "K") { appState.keyChangeKPending = false; }
-
-  const num = parseInt(e.key);
-  if (!isNaN(num) && num >= 1 && num <= 7) {
-    // Cancel pending start if key is released quickly (tap < 20ms)
-    if (appState.pendingChordStarts[num]) {
-      clearTimeout(appState.pendingChordStarts[num]);
+  getKeyActions("chords", e.key).forEach(actionId => performAction(actionId, false));
+});
+
+// Chord degree presses (keyboard, MIDI)
+function pressDegree(num) {
+  if (appState.bassPedal.held) {
+    setPedalBass(num);
+    return;
+  }
+  promptForAudioEngine(() => {
+    // Debounce/Latency for Modifier Sync (20ms)
+    // If user presses Key then Modifier within 20ms, we want the modified chord.
+    appState.pendingChordStarts[num] = setTimeout(() => {
+      startChord(num - 1);
       delete appState.pendingChordStarts[num];
-    }
-    stopChord(num - 1);
+    }, 25);
+  });
+}
+
+function releaseDegree(num) {
+  // Cancel pending start if key is released quickly (tap < 20ms)
+  if (appState.pendingChordStarts[num]) {
+    clearTimeout(appState.pendingChordStarts[num]);
+    delete appState.pendingChordStarts[num];
   }
-});
+  stopChord(num - 1);
+}
 
 function promptForAudioEngine(onInitiated) {
   if (!appState.isAudioStarted) {
@@ -1341,46 +2426,36 @@ function promptForAudioEngine(onInitiated) {
 }
 
 
-// Click/Touch Input for QWERTY Chord Keys
-document.querySelectorAll(".key").forEach(keyEl => {
-  const num = parseInt(keyEl.getAttribute("data-note"));
-
-  const start = (e) => {
+// Hold-to-play for on-screen controls. Each pointer (mouse, finger, pen) is tracked on
+// its own, so several controls can be held at once; a control releases with its last pointer.
+function bindPointerHold(el, onPress, onRelease) {
+  const pointers = new Set();
+  el.addEventListener("pointerdown", (e) => {
+    if (e.pointerType === "mouse" && e.button !== 0) return;
     e.preventDefault();
-    promptForAudioEngine(() => {
-      startChord(num - 1);
-    });
-  };
-  const stop = (e) => {
+    pointers.add(e.pointerId);
+    if (pointers.size === 1) onPress(e);
+  });
+  const release = (e) => {
+    if (!pointers.delete(e.pointerId)) return;
     e.preventDefault();
-    stopChord(num - 1);
+    if (pointers.size === 0) onRelease(e);
   };
+  ["pointerup", "pointercancel", "pointerleave"].forEach(type => el.addEventListener(type, release));
+}
+
+// Click/Touch Input for QWERTY Chord Keys
+document.querySelectorAll(".key").forEach(keyEl => {
+  const num = parseInt(keyEl.getAttribute("data-note"));
 
-  keyEl.addEventListener("mousedown", start);
-  keyEl.addEventListener("mouseup", stop);
-  keyEl.addEventListener("mouseleave", stop);
-  keyEl.addEventListener("touchstart", start);
-  keyEl.addEventListener("touchend", stop);
+  bindPointerHold(keyEl, () => pressDegree(num), () => releaseDegree(num));
 });
 
-// Click/Touch Input for QWERTY Modifier Keys
+// Click/Touch Input for QWERTY Modifier Keys (and the pedal bass key)
 document.querySelectorAll(".mod-key").forEach(modEl => {
-  const modName = modEl.id.replace("mod-", "");
-
-  const activate = (e) => {
-    e.preventDefault();
-    setModifier(modName, true);
-  };
-  const deactivate = (e) => {
-    e.preventDefault();
-    setModifier(modName, false);
-  };
+  const actionId = modEl.dataset.action || `modifier:${modEl.id.replace("mod-", "")}`;
 
-  modEl.addEventListener("mousedown", activate);
-  modEl.addEventListener("mouseup", deactivate);
-  modEl.addEventListener("mouseleave", deactivate);
-  modEl.addEventListener("touchstart", activate);
-  modEl.addEventListener("touchend", deactivate);
+  bindPointerHold(modEl, () => performAction(actionId, true), () => performAction(actionId, false));
 });
 
 // Numpad Interactions
@@ -1389,24 +2464,7 @@ document.querySelectorAll(".np-btn").forEach(btn => {
   if (btn.hasAttribute("data-note")) {
     const num = parseInt(btn.getAttribute("data-note"));
 
-    // Touch/Mouse support
-    const start = (e) => {
-      e.preventDefault(); // Prevent double firing if hybrid
-      promptForAudioEngine(() => {
-        startChord(num - 1);
-      });
-    };
-    const stop = (e) => {
-      e.preventDefault();
-      stopChord(num - 1);
-    };
-
-    btn.addEventListener("mousedown", start);
-    btn.addEventListener("mouseup", stop);
-    btn.addEventListener("mouseleave", stop);
-
-    btn.addEventListener("touchstart", start);
-    btn.addEventListener("touchend", stop);
+    bindPointerHold(btn, () => pressDegree(num), () => releaseDegree(num));
 
   } else {
     // It's a modifier key
@@ -1415,21 +2473,7 @@ document.querySelectorAll(".np-btn").forEach(btn => {
 
     const modName = id.replace("np-", "");
 
-    const activate = (e) => {
-      e.preventDefault();
-      setModifier(modName, true);
-    };
-    const deactivate = (e) => {
-      e.preventDefault();
-      setModifier(modName, false);
-    };
-
-    btn.addEventListener("mousedown", activate);
-    btn.addEventListener("mouseup", deactivate);
-    btn.addEventListener("mouseleave", deactivate);
-
-    btn.addEventListener("touchstart", activate);
-    btn.addEventListener("touchend", deactivate);
+    bindPointerHold(btn, () => setModifier(modName, true), () => setModifier(modName, false));
   }
 });
 // -------------------------------------------------------------------
@@ -1458,23 +2502,22 @@ function initThereminScale() {
   const scaleChromas = scale.notes.map(n => Note.chroma(n));
   const rootChroma = Note.chroma(appState.root);
 
-  // We want to generate ticks for 36 semitones (C3 to C6)
-  // C3 is index 0. C6 is index 36.
-  for (let i = 0; i <= THEREMIN_SEMITONES; i++) {
+  // One tick per semitone of the current range, index 0 is the lowest note
+  const range = getThereminRange();
+  updateThereminRangeLabels(range);
+  for (let i = 0; i <= range.semitones; i++) {
     const tick = document.createElement("div");
     tick.classList.add("theremin-tick");
 
     // Calculate position percentage from bottom (0% pitch to 100% pitch)
-    // i=0 -> 0% (bottom), i=36 -> 100% (top)
-    const percent = (i / THEREMIN_SEMITONES) * 100;
+    // i=0 -> 0% (bottom), i=semitones -> 100% (top)
+    const percent = (i / range.semitones) * 100;
     tick.style.bottom = `${percent}%`; // Use bottom positioning
     tick.style.top = 'auto'; // Override default absolute top if any
     tick.style.transform = 'translateY(50%)'; // Center on line
 
     // Note Type Logic
-    // C3 corresponds to chroma 0 (C).
-    // i=0 is C3 (Chroma 0).
-    const currentChroma = i % 12;
+    const currentChroma = (range.low + i) % 12;
 
     if (currentChroma === rootChroma) {
       tick.classList.add("root");
@@ -1488,12 +2531,44 @@ function initThereminScale() {
   }
 }
 
+function updateThereminRangeLabels(range) {
+  const lowLabel = document.getElementById("theremin-range-low");
+  const highLabel = document.getElementById("theremin-range-high");
+  if (!lowLabel || !highLabel) return;
+  lowLabel.textContent = formatNoteName(spellMidi(range.low));
+  highLabel.textContent = formatNoteName(spellMidi(range.low + range.semitones));
+}
+
+// -> { low: MIDI note at the bottom of the bar, semitones: span up to the top }
+function getThereminRange(octaveShift = appState.thereminOctaveShift) {
+  const { lowNote, octaves, centerOnKey } = appState.theremin;
+  const semitones = octaves * 12;
+  let low = Note.midi(lowNote);
+  if (centerOnKey) {
+    const middle = low + semitones / 2;
+    let rootOffset = ((Note.chroma(appState.root) - middle) % 12 + 12) % 12;
+    if (rootOffset > 6) rootOffset -= 12;
+    low = middle + rootOffset - semitones / 2;
+  }
+  low += 12 * octaveShift;
+  // Keep the whole range playable
+  low = Math.max(THEREMIN_LOWEST_MIDI, Math.min(low, THEREMIN_HIGHEST_MIDI - semitones));
+  return { low, semitones };
+}
+
+function shiftThereminOctave(delta) {
+  const nextShift = appState.thereminOctaveShift + delta;
+  if (getThereminRange(nextShift).low === getThereminRange().low) return; // already at the edge
+  appState.thereminOctaveShift = nextShift;
+  initThereminScale();
+}
+
 // Call on load
 initThereminScale();
 
 function getPitchFromY(y) {
   // Use the visual bar as the reference for range
-  if (!thereminBar) return THEREMIN_MIN_FREQ;
+  if (!thereminBar) return normalizedToThereminFreq(0);
 
   const rect = thereminBar.getBoundingClientRect();
 
@@ -1503,65 +2578,381 @@ function getPitchFromY(y) {
   // Map Top (rect.top) -> High Pitch (1.0), Bottom (rect.bottom) -> Low Pitch (0.0)
   const normalized = 1 - ((clampedY - rect.top) / rect.height);
 
-  // Using Logarithmic scale for pitch perception
-  // f = f_min * (f_max / f_min)^normalized
-  const freq = THEREMIN_MIN_FREQ * Math.pow(THEREMIN_MAX_FREQ / THEREMIN_MIN_FREQ, normalized);
-  return freq;
+  return normalizedToThereminFreq(normalized);
 }
 
-window.addEventListener("mousedown", (e) => {
-  // Left Click only
-  if (e.button !== 0) return;
+function normalizedToThereminFreq(normalized) {
+  // Linear in semitones = logarithmic in frequency, matching pitch perception
+  const { low, semitones } = getThereminRange();
+  return midiToFreq(low + normalized * semitones);
+}
 
-  // Only if audio is started
-  if (!appState.isAudioStarted) return;
+// -------------------------------------------------------------------
+// Theremin Snap
+// -------------------------------------------------------------------
+// The raw pitch is pulled toward the nearest allowed note by the magnet strength, so it
+// still glides between notes; once the hand rests it settles on the note itself, sooner
+// the stronger the magnet. Magnet 0 never settles: the snap mode then has no effect.
+const THEREMIN_SNAP_MODES = ["free", "chromatic", "scale", "chord"];
+const THEREMIN_SETTLE_MS = 150;
+
+const THEREMIN_PARAMS = [
+  { key: "voices", label: "Voices (one per pointer)", min: 1, max: THEREMIN_MAX_VOICES, step: 1 },
+  { key: "snap", label: "Snap to", options: THEREMIN_SNAP_MODES },
+  { key: "magnet", label: "Magnet", min: 0, max: 1, step: 0.05 },
+  { key: "lowNote", label: "Lowest note", options: THEREMIN_LOW_NOTES, affectsRange: true },
+  { key: "octaves", label: "Span", min: 1, max: 5, step: 1, unit: "oct", affectsRange: true },
+  { key: "centerOnKey", label: "Centre on key root", toggle: true, affectsRange: true }
+];
 
-  // Check if clicking interactive elements to avoid conflict?
-  // The user requested "Pressing the left mouse button turns on playback".
-  // We should probably allow it globally unless clicking a button?
-  if (e.target.tagName === 'BUTTON' || e.target.closest('.key') || e.target.closest('.np-btn') || e.target.closest('.mod-key')) return;
+function midiToFreq(midi) {
+  return 440 * Math.pow(2, (midi - 69) / 12);
+}
 
-  isThereminActive = true;
-  const freq = getPitchFromY(e.clientY);
+// Chromas the lead may land on; "chord" falls back to the scale while nothing is held
+function getSnapChromas() {
+  if (appState.theremin.snap === "chromatic") return KEY_ORDER.map((_, chroma) => chroma);
+  if (appState.theremin.snap === "chord") {
+    const held = Object.values(appState.activeVoicings).flat().filter(Boolean).map(n => Note.chroma(n));
+    if (held.length > 0) return held;
+  }
+  return Scale.get(`${appState.root} ${appState.scaleType}`).notes.map(n => Note.chroma(n));
+}
 
-  if (appState.thereminSynth) {
-    appState.thereminSynth.triggerAttack(freq);
+function getNearestSnapMidi(midi, chromas) {
+  let nearest = Math.round(midi);
+  let nearestDistance = Infinity;
+  for (let candidate = Math.floor(midi) - 6; candidate <= Math.ceil(midi) + 6; candidate++) {
+    const distance = Math.abs(candidate - midi);
+    if (chromas.includes(((candidate % 12) + 12) % 12) && distance < nearestDistance) {
+      nearest = candidate;
+      nearestDistance = distance;
+    }
   }
+  return nearest;
+}
 
-  // Update Visuals
-  pitchIndicator.classList.add("active");
-  toggleBgEffect(true); // Show BG + Flip
-  updateThereminVisuals(e.clientY);
-});
+// -> { freq: what to play now, target: where it settles }
+function snapLeadPitch(freq) {
+  if (appState.theremin.snap === "free") return { freq, target: freq };
+  const midi = freqToMidi(freq);
+  const targetMidi = getNearestSnapMidi(midi, getSnapChromas());
+  const pulledMidi = midi + (targetMidi - midi) * appState.theremin.magnet;
+  return { freq: midiToFreq(pulledMidi), target: midiToFreq(targetMidi) };
+}
 
-window.addEventListener("mousemove", (e) => {
-  if (isThereminActive && appState.thereminSynth) {
-    const freq = getPitchFromY(e.clientY);
-    appState.thereminSynth.setNote(freq); // MonoSynth uses setNote for glide
-    updateThereminVisuals(e.clientY);
-  } else {
-    // Just update visuals passively if we want? Or hidden?
-    // User said "Show a vertical bar... indicating what pitch we're on"
-    // Let's update it passively too so they know where they will start.
-    updateThereminVisuals(e.clientY);
+// -------------------------------------------------------------------
+// Theremin Voices
+// -------------------------------------------------------------------
+// Each input playing the theremin (a pointer id, "tilt" for the mobile button, "camera",
+// "gamepad:<index>") holds
+// one lead voice: { index into graph.leadVoices, indicator, settleTimeout, hand }.
+// With appState.theremin.voices at 1 this is the classic single theremin.
+const thereminVoices = new Map();
+
+function getPitchIndicator(index) {
+  if (index === 0) return pitchIndicator;
+  let indicator = thereminBar.querySelector(`.pitch-indicator[data-voice="${index}"]`);
+  if (!indicator) {
+    indicator = document.createElement("div");
+    indicator.className = "pitch-indicator";
+    indicator.dataset.voice = String(index);
+    thereminBar.appendChild(indicator);
   }
-});
+  return indicator;
+}
 
-window.addEventListener("mouseup", () => {
-  if (isThereminActive) {
-    isThereminActive = false;
-    if (appState.thereminSynth) {
-      appState.thereminSynth.triggerRelease();
-    }
-    pitchIndicator.classList.remove("active");
-    toggleBgEffect(false); // Hide BG
-  }
-});
+// -> the new voice, or null when every voice is already playing
+function startThereminVoice(inputId) {
+  const used = new Set([...thereminVoices.values()].map(voice => voice.index));
+  const index = Array.from({ length: appState.theremin.voices }, (_, i) => i).find(i => !used.has(i));
+  if (index === undefined) return null;
+  const voice = { index, indicator: getPitchIndicator(index), settleTimeout: null, hand: null };
+  thereminVoices.set(inputId, voice);
+  isThereminActive = true;
+  voice.indicator.classList.add("active");
+  toggleBgEffect(true); // Show BG + Flip
+  return voice;
+}
 
-function updateThereminVisuals(y) {
-  // Clamp Y to window
+function stopThereminVoice(inputId) {
+  const voice = thereminVoices.get(inputId);
+  if (!voice) return;
+  thereminVoices.delete(inputId);
+  thereminRelease(voice);
+  voice.indicator.classList.remove("active");
+  isThereminActive = thereminVoices.size > 0;
+  if (!isThereminActive) toggleBgEffect(false); // Hide BG
+}
+
+// Every theremin input (mouse/touch, device tilt, camera, gamepad) plays through these
+function thereminAttack(rawFreq, voice) {
+  resetHandVibrato(voice);
+  playSnappedLead(rawFreq, voice, leadAttack);
+  startLeadVibrato();
+}
+
+function thereminGlide(rawFreq, voice) {
+  playSnappedLead(rawFreq, voice, leadGlide);
+}
+
+function thereminRelease(voice) {
+  clearTimeout(voice.settleTimeout);
+  resetHandVibrato(voice);
+  leadRelease(voice.index);
+}
+
+function playSnappedLead(rawFreq, voice, play) {
+  const handFreq = followHandVibrato(rawFreq, voice);
+  const { freq, target } = snapLeadPitch(handFreq);
+  play(freq, voice.index);
+  clearTimeout(voice.settleTimeout);
+  const magnet = appState.theremin.magnet;
+  const settles = magnet > 0 && freq !== target;
+  if (settles || handFreq !== rawFreq) {
+    // Once the hand rests: land on the snap target, with the hand vibrato caught up.
+    // A weaker magnet waits longer before landing; at 0 only the vibrato catches up.
+    voice.settleTimeout = setTimeout(() => {
+      if (![...thereminVoices.values()].includes(voice)) return;
+      resetHandVibrato(voice);
+      const rested = snapLeadPitch(rawFreq);
+      leadGlide(settles ? rested.target : rested.freq, voice.index);
+    }, settles ? THEREMIN_SETTLE_MS / magnet : THEREMIN_SETTLE_MS);
+  }
+}
+
+// -------------------------------------------------------------------
+// Theremin Expression
+// -------------------------------------------------------------------
+// The axis that doesn't play pitch (mouse X, sideways tilt on mobile) drives one
+// parameter of the lead, through a response curve.
+const EXPRESSION_TARGETS = ["none", "volume", "filter", "vibrato", "reverb"];
+const EXPRESSION_CURVES = {
+  linear: x => x,
+  exponential: x => x * x, // fine control at the low end
+  logarithmic: x => Math.sqrt(x), // fine control at the high end
+  reversed: x => 1 - x
+};
+const EXPRESSION_FILTER_MIN = 100; // Hz
+const EXPRESSION_FILTER_MAX = 10000; // Hz
+const EXPRESSION_VIBRATO_MAX_DEPTH = 0.5;
+const EXPRESSION_RAMP = 0.05; // s, smooths jumpy pointer and sensor readings
+const EXPRESSION_TILT_RANGE = 45; // degrees of sideways tilt either way
+
+const EXPRESSION_PARAMS = [
+  { key: "xTarget", label: "Left/right controls", options: EXPRESSION_TARGETS },
+  { key: "xCurve", label: "Left/right curve", options: Object.keys(EXPRESSION_CURVES) },
+  { key: "tiltTarget", label: "Sideways tilt controls", options: EXPRESSION_TARGETS },
+  { key: "tiltCurve", label: "Tilt curve", options: Object.keys(EXPRESSION_CURVES) },
+  { key: "cameraTarget", label: "Camera second hand controls", options: EXPRESSION_TARGETS },
+  { key: "cameraCurve", label: "Camera second hand curve", options: Object.keys(EXPRESSION_CURVES) },
+  { key: "gamepadTarget", label: "Gamepad stick controls", options: EXPRESSION_TARGETS },
+  { key: "gamepadCurve", label: "Gamepad stick curve", options: Object.keys(EXPRESSION_CURVES) }
+];
+
+// axis: "x", "tilt", "camera" or "gamepad", normalized: 0 (left / bottom) to 1 (right / top)
+function applyLeadExpression(axis, normalized) {
+  const target = appState.theremin[`${axis}Target`];
+  const graph = appState.audioGraph;
+  if (target === "none" || !graph) return;
+  const curve = EXPRESSION_CURVES[appState.theremin[`${axis}Curve`]];
+  const amount = curve(Math.max(0, Math.min(1, normalized)));
+  switch (target) {
+    case "volume":
+      graph.leadExpression.gain.rampTo(amount, EXPRESSION_RAMP);
+      break;
+    case "filter": {
+      const cutoff = EXPRESSION_FILTER_MIN * Math.pow(EXPRESSION_FILTER_MAX / EXPRESSION_FILTER_MIN, amount);
+      graph.leadVoices.forEach(leadVoice => {
+        leadVoice.filterEnvelope.baseFrequency = cutoff;
+      });
+      break;
+    }
+    case "vibrato":
+      graph.leadVibrato.depth.rampTo(amount * EXPRESSION_VIBRATO_MAX_DEPTH, EXPRESSION_RAMP);
+      break;
+    case "reverb":
+      graph.strips.lead.send.gain.rampTo(amount, EXPRESSION_RAMP);
+      graph.strips.lead.dry.gain.rampTo(1 - amount, EXPRESSION_RAMP);
+      break;
+  }
+}
+
+// Hand back what an axis was driving to the sound / mixer settings
+function resetLeadExpression() {
+  const graph = appState.audioGraph;
+  if (!graph) return;
+  graph.leadExpression.gain.value = 1;
+  graph.leadVibrato.depth.value = isThereminActive ? appState.theremin.vibratoDepth : 0;
+  applySoundSection("lead");
+  applyMixerStrip("lead");
+}
+
+// -------------------------------------------------------------------
+// Lead Vibrato
+// -------------------------------------------------------------------
+// Two sources, neither of which touches the frequency that setNote glides:
+// - automatic: the lead's Vibrato effect, faded in a moment after each attack
+// - hand-shake: the hand's pitch is split into a slow part (played with setNote, so
+//   portamento still applies) and a fast wobble, exaggerated and added as detune
+const VIBRATO_FADE_IN = 0.3; // s
+const HAND_VIBRATO_SMOOTHING = 0.12; // s, movement slower than this is pitch, faster is vibrato
+const HAND_VIBRATO_GAIN = 2; // wobble is exaggerated up to this much at full amount
+const HAND_VIBRATO_MAX = 1; // semitones either way
+
+const VIBRATO_PARAMS = [
+  { key: "vibratoRate", label: "Rate", min: 1, max: 12, step: 0.1, unit: "Hz" },
+  { key: "vibratoDepth", label: "Depth", min: 0, max: 1, step: 0.01 },
+  { key: "vibratoDelay", label: "Onset delay", min: 0, max: 2, step: 0.05, unit: "s" },
+  { key: "handVibrato", label: "Hand-shake vibrato", min: 0, max: 1, step: 0.05 }
+];
+
+// An expression axis set to "vibrato" owns the depth instead
+function isVibratoDepthExpressive() {
+  return appState.theremin.xTarget === "vibrato" || appState.theremin.tiltTarget === "vibrato";
+}
+
+function startLeadVibrato() {
+  const graph = appState.audioGraph;
+  if (!graph || isVibratoDepthExpressive()) return;
+  const { vibratoDepth, vibratoDelay } = appState.theremin;
+  const depth = graph.leadVibrato.depth;
+  const now = Tone.now();
+  depth.cancelScheduledValues(now);
+  depth.setValueAtTime(0, now);
+  depth.setValueAtTime(0, now + vibratoDelay);
+  depth.linearRampToValueAtTime(vibratoDepth, now + vibratoDelay + VIBRATO_FADE_IN);
+}
+
+function applyLeadVibrato() {
+  getAudioGraphs().forEach(graph => {
+    graph.leadVibrato.frequency.value = appState.theremin.vibratoRate;
+  });
+  const graph = appState.audioGraph;
+  if (graph && isThereminActive && !isVibratoDepthExpressive()) {
+    graph.leadVibrato.depth.rampTo(appState.theremin.vibratoDepth, EXPRESSION_RAMP);
+  }
+}
+
+// rawFreq -> the slow part to play; the wobble goes to the voice's detune.
+// voice.hand = { midi: smoothed hand pitch, time } while the voice plays.
+function followHandVibrato(rawFreq, voice) {
+  const amount = appState.theremin.handVibrato;
+  if (amount === 0 || !appState.audioGraph) return rawFreq;
+  const midi = freqToMidi(rawFreq);
+  const time = performance.now() / 1000;
+  if (!voice.hand) {
+    voice.hand = { midi, time };
+    return rawFreq;
+  }
+  const follow = 1 - Math.exp(-(time - voice.hand.time) / HAND_VIBRATO_SMOOTHING);
+  voice.hand = { midi: voice.hand.midi + (midi - voice.hand.midi) * follow, time };
+  const wobble = Math.max(-HAND_VIBRATO_MAX, Math.min(HAND_VIBRATO_MAX, midi - voice.hand.midi));
+  const cents = wobble * 100 * (1 + amount * (HAND_VIBRATO_GAIN - 1));
+  appState.audioGraph.leadVoices[voice.index].detune.rampTo(appState.sound.lead.detune + cents, EXPRESSION_RAMP);
+  return midiToFreq(voice.hand.midi);
+}
+
+function resetHandVibrato(voice) {
+  if (voice.hand && appState.audioGraph) {
+    appState.audioGraph.leadVoices[voice.index].detune.rampTo(appState.sound.lead.detune, EXPRESSION_RAMP);
+  }
+  voice.hand = null;
+}
+
+function renderThereminSettings() {
+  const renderParams = (containerId, params, onChange) => {
+    const container = document.getElementById(containerId);
+    container.innerHTML = "";
+    params.forEach(param => {
+      container.appendChild(createParamRow(param, appState.theremin[param.key], (value, isFinal) => {
+        appState.theremin[param.key] = value;
+        onChange(param);
+        if (isFinal) saveStored("theremin", appState.theremin);
+      }));
+    });
+  };
+  renderParams("theremin-params", THEREMIN_PARAMS, param => {
+    if (param.affectsRange) initThereminScale();
+    if (param.key === "voices") {
+      configureMidiOutput(); // one lead channel per voice
+      updateMidiLeadChannelWarning();
+    }
+  });
+  renderParams("theremin-expression-params", EXPRESSION_PARAMS, resetLeadExpression);
+  renderParams("theremin-vibrato-params", VIBRATO_PARAMS, applyLeadVibrato);
+  renderParams("theremin-camera-params", CAMERA_PARAMS, () => {});
+}
+
+function initThereminSettings() {
+  const stored = loadStored("theremin", {});
+  [...THEREMIN_PARAMS, ...EXPRESSION_PARAMS, ...VIBRATO_PARAMS, ...CAMERA_PARAMS].forEach(param => {
+    const value = stored[param.key];
+    if (param.options) {
+      if (param.options.includes(value)) appState.theremin[param.key] = value;
+    } else if (param.toggle) {
+      if (typeof value === "boolean") appState.theremin[param.key] = value;
+    } else if (typeof value === "number") {
+      appState.theremin[param.key] = Math.max(param.min, Math.min(param.max, value));
+    }
+  });
+  renderThereminSettings();
+  initThereminScale();
+  // The MIDI output was set up for the default voice count
+  configureMidiOutput();
+  updateMidiLeadChannelWarning();
+}
+
+// The theremin follows the mouse or a pen anywhere outside the controls, or fingers on
+// the bar (elsewhere a finger scrolls or holds chords), one lead voice per pointer.
+// Other pointers are left to the chord controls, so both hands can play at once.
+const THEREMIN_EXCLUDED_TARGETS = "button, .key, .np-btn, .mod-key, .tonnetz-cell, .modal-overlay";
+
+function canStartTheremin(e) {
+  if (!(e.target instanceof Element)) return false;
+  if (e.pointerType === "touch") return Boolean(e.target.closest("#theremin-bar"));
+  // Left Click only
+  return e.button === 0 && !e.target.closest(THEREMIN_EXCLUDED_TARGETS);
+}
+
+window.addEventListener("pointerdown", (e) => {
+  // Only if audio is started
+  if (!appState.isAudioStarted || !canStartTheremin(e)) return;
+
+  const voice = startThereminVoice(e.pointerId);
+  if (!voice) return; // all voices busy
+  if (e.pointerType === "touch") e.preventDefault();
+  const freq = getPitchFromY(e.clientY);
+  applyLeadExpression("x", e.clientX / window.innerWidth);
+  thereminAttack(freq, voice);
+
+  // Update Visuals
+  updateThereminVisuals(e.clientY, voice.indicator);
+});
+
+window.addEventListener("pointermove", (e) => {
+  const voice = thereminVoices.get(e.pointerId);
+  if (voice) {
+    const freq = getPitchFromY(e.clientY);
+    applyLeadExpression("x", e.clientX / window.innerWidth);
+    thereminGlide(freq, voice); // MonoSynth uses setNote for glide
+    updateThereminVisuals(e.clientY, voice.indicator);
+  } else if (!isThereminActive && e.pointerType === "mouse") {
+    // Just update visuals passively if we want? Or hidden?
+    // User said "Show a vertical bar... indicating what pitch we're on"
+    // Let's update it passively too so they know where they will start.
+    updateThereminVisuals(e.clientY);
+  }
+});
+
+const releaseThereminPointer = (e) => stopThereminVoice(e.pointerId);
+window.addEventListener("pointerup", releaseThereminPointer);
+window.addEventListener("pointercancel", releaseThereminPointer);
+
+function updateThereminVisuals(y, indicator = pitchIndicator) {
+  // Clamp Y to window
   const clampedY = Math.max(0, Math.min(y, window.innerHeight));
-  pitchIndicator.style.top = `${clampedY}px`;
+  indicator.style.top = `${clampedY}px`;
   // We used bottom: 50% / top... actually in CSS we put absolute positioning.
   // Let's just set top directly.
   // CSS was: #pitch-indicator { position: absolute; ... }
@@ -1583,9 +2974,9 @@ function updateThereminVisuals(y) {
   const relativeY = y - containerRect.top;
   const percent = Math.max(0, Math.min(100, (relativeY / containerRect.height) * 100));
 
-  pitchIndicator.style.top = `${percent}%`;
-  pitchIndicator.style.bottom = 'auto';
-  pitchIndicator.style.transform = 'translate(-50%, -50%)'; // Center on cursor vertically
+  indicator.style.top = `${percent}%`;
+  indicator.style.bottom = 'auto';
+  indicator.style.transform = 'translate(-50%, -50%)'; // Center on cursor vertically
 }
 
 // -------------------------------------------------------------------
@@ -1606,12 +2997,10 @@ if (mobileThereminBtn) {
     mobileThereminBtn.classList.add("active");
 
     // Start the theremin sound
-    isThereminActive = true;
-    if (appState.thereminSynth) {
-      appState.thereminSynth.triggerAttack(THEREMIN_MIN_FREQ);
-    }
-    pitchIndicator.classList.add("active");
-    toggleBgEffect(true);
+    resetTiltSmoothing();
+    const voice = startThereminVoice("tilt");
+    if (!voice) return;
+    thereminAttack(normalizedToThereminFreq(0), voice);
     window.addEventListener("deviceorientation", handleOrientation);
   };
 
@@ -1623,63 +3012,2042 @@ if (mobileThereminBtn) {
     mobileThereminBtn.classList.remove("active");
 
     // Stop the theremin sound
-    isThereminActive = false;
-    if (appState.thereminSynth) {
-      appState.thereminSynth.triggerRelease();
-    }
-    pitchIndicator.classList.remove("active");
-    toggleBgEffect(false);
+    stopThereminVoice("tilt");
     window.removeEventListener("deviceorientation", handleOrientation);
   };
 
-  mobileThereminBtn.addEventListener("mousedown", activateMobileTheremin);
-  mobileThereminBtn.addEventListener("touchstart", activateMobileTheremin);
-
-  mobileThereminBtn.addEventListener("mouseup", deactivateMobileTheremin);
-  mobileThereminBtn.addEventListener("touchend", deactivateMobileTheremin);
-  mobileThereminBtn.addEventListener("mouseleave", deactivateMobileTheremin);
+  bindPointerHold(mobileThereminBtn, activateMobileTheremin, deactivateMobileTheremin);
 }
 
 function handleOrientation(event) {
-  if (!appState.mobileThereminEnabled || !appState.thereminSynth) return;
+  const voice = thereminVoices.get("tilt");
+  if (!appState.mobileThereminEnabled || !voice || event.beta === null) return;
 
-  // 'beta' is the front-to-back tilt in degrees [-180, 180]
-  // We'll map a comfortable range (e.g., 30 to 90 degrees) to the pitch.
-  let tilt = event.beta;
+  // The calibrated axis, between the calibrated low and high poses (see Tilt Calibration)
+  const angles = getScreenAngles(event);
+  const normalized = smoothTilt(normalizeTilt(angles[appState.tiltCalibration.axis]));
 
-  // Clamp tilt
-  const minTilt = 30;
-  const maxTilt = 80;
-  const clampedTilt = Math.max(minTilt, Math.min(tilt, maxTilt));
+  // 0 is bottom (min freq), 1 is top (max freq)
+  const freq = normalizedToThereminFreq(normalized);
+  thereminGlide(freq, voice);
 
-  // Normalize (0 to 1)
-  const normalized = (clampedTilt - minTilt) / (maxTilt - minTilt);
-
-  // Invert if needed: 0 is bottom (min freq), 1 is top (max freq)
-  // Higher tilt (closer to 90) = Higher pitch
-
-  const freq = THEREMIN_MIN_FREQ * Math.pow(THEREMIN_MAX_FREQ / THEREMIN_MIN_FREQ, normalized);
-  appState.thereminSynth.setNote(freq);
+  // The other of front-to-back / left-to-right tilt is the theremin's second axis
+  const expressionAxis = appState.tiltCalibration.axis === "gamma" ? "beta" : "gamma";
+  applyLeadExpression("tilt", (angles[expressionAxis] + EXPRESSION_TILT_RANGE) / (2 * EXPRESSION_TILT_RANGE));
 
   // Update visuals using normalized value for the bar percentage
   // 1 - normalized because the bar is top-down (0 is top?)
   // Wait, getPitchFromY maps 1.0 to top, 0.0 to bottom.
   // Our normalized 1.0 is max freq (top).
-  updateThereminVisualsFromNormalized(normalized);
+  updateThereminVisualsFromNormalized(normalized, voice.indicator);
 }
 
-function updateThereminVisualsFromNormalized(normalized) {
+function updateThereminVisualsFromNormalized(normalized, indicator = pitchIndicator) {
   // percentage from top (0% is top, 100% is bottom)
   const percent = (1 - normalized) * 100;
-  pitchIndicator.style.top = `${percent}%`;
-  pitchIndicator.style.bottom = 'auto';
-  pitchIndicator.style.transform = 'translate(-50%, -50%)';
+  indicator.style.top = `${percent}%`;
+  indicator.style.bottom = 'auto';
+  indicator.style.transform = 'translate(-50%, -50%)';
+}
+
+// -------------------------------------------------------------------
+// Tilt Calibration
+// -------------------------------------------------------------------
+// Which device angle plays pitch on the mobile theremin, and the poses for its lowest
+// and highest notes. Angles are taken relative to the screen, so the same pose works
+// in portrait and landscape. Set with a two-step wizard and remembered between sessions.
+const TILT_AXES = ["beta", "gamma", "alpha"]; // front-to-back, left-to-right, compass
+const DEFAULT_TILT_CALIBRATION = { axis: "beta", low: 30, high: 80, invert: false, smoothing: 0.5 };
+
+const TILT_PARAMS = [
+  { key: "axis", label: "Tilt axis", options: TILT_AXES },
+  { key: "invert", label: "Invert", toggle: true },
+  { key: "smoothing", label: "Smoothing", min: 0, max: 0.95, step: 0.05 }
+];
+
+let tiltSmoothed = null;
+let tiltCalibrationStep = null; // "low" / "high" while the wizard runs
+let tiltCalibrationAngles = null; // latest reading while the wizard runs
+
+// Device angles as seen from the screen's current orientation
+function getScreenAngles(event) {
+  const angle = (screen.orientation && screen.orientation.angle) || window.orientation || 0;
+  const beta = event.beta || 0;
+  const gamma = event.gamma || 0;
+  const alpha = event.alpha || 0;
+  switch ((angle + 360) % 360) {
+    case 90: return { beta: -gamma, gamma: beta, alpha: (alpha + 90) % 360 };
+    case 180: return { beta: -beta, gamma: -gamma, alpha: (alpha + 180) % 360 };
+    case 270: return { beta: gamma, gamma: -beta, alpha: (alpha + 270) % 360 };
+    default: return { beta, gamma, alpha };
+  }
+}
+
+// Calibrated angle -> 0 (low pose) .. 1 (high pose); alpha wraps around the compass
+function normalizeTilt(value) {
+  const { axis, low, high, invert } = appState.tiltCalibration;
+  const offset = (from, to) => (axis === "alpha" ? ((to - from + 540) % 360) - 180 : to - from);
+  const span = offset(low, high);
+  if (span === 0) return 0;
+  const normalized = Math.max(0, Math.min(1, offset(low, value) / span));
+  return invert ? 1 - normalized : normalized;
+}
+
+// Exponential smoothing against sensor jitter
+function smoothTilt(normalized) {
+  const { smoothing } = appState.tiltCalibration;
+  tiltSmoothed = tiltSmoothed === null ? normalized : tiltSmoothed + (normalized - tiltSmoothed) * (1 - smoothing);
+  return tiltSmoothed;
+}
+
+function resetTiltSmoothing() {
+  tiltSmoothed = null;
+}
+
+function saveTiltCalibration() {
+  saveStored("tiltCalibration", appState.tiltCalibration);
+}
+
+function handleCalibrationOrientation(event) {
+  if (event.beta === null) return;
+  tiltCalibrationAngles = getScreenAngles(event);
+  renderTiltCalibration();
+}
+
+function startTiltCalibration() {
+  requestMotionPermission().then(granted => {
+    if (!granted) {
+      alert("Motion access was refused, so the tilt theremin can't be calibrated.");
+      return;
+    }
+    tiltCalibrationStep = "low";
+    tiltCalibrationAngles = null;
+    window.addEventListener("deviceorientation", handleCalibrationOrientation);
+    renderTiltCalibration();
+  });
+}
+
+function stopTiltCalibration() {
+  tiltCalibrationStep = null;
+  window.removeEventListener("deviceorientation", handleCalibrationOrientation);
+  renderTiltCalibration();
+}
+
+function captureTiltPose() {
+  if (!tiltCalibrationAngles) {
+    alert("No motion data yet. Try again on a phone or tablet.");
+    return;
+  }
+  const value = Math.round(tiltCalibrationAngles[appState.tiltCalibration.axis]);
+  if (tiltCalibrationStep === "low") {
+    appState.tiltCalibration.low = value;
+    tiltCalibrationStep = "high";
+    renderTiltCalibration();
+    return;
+  }
+  if (value === appState.tiltCalibration.low) {
+    alert("The highest pose has to differ from the lowest one.");
+    return;
+  }
+  appState.tiltCalibration.high = value;
+  saveTiltCalibration();
+  stopTiltCalibration();
+}
+
+function renderTiltCalibration() {
+  const { axis, low, high } = appState.tiltCalibration;
+  document.getElementById("tilt-calibration-range").textContent = `${axis} ${low}° → ${high}°`;
+
+  const prompt = document.getElementById("tilt-calibration-prompt");
+  const captureBtn = document.getElementById("tilt-capture");
+  prompt.hidden = tiltCalibrationStep === null;
+  captureBtn.hidden = tiltCalibrationStep === null;
+  document.getElementById("tilt-calibrate").textContent = tiltCalibrationStep ? "Cancel" : "Calibrate";
+  if (!tiltCalibrationStep) return;
+
+  const pose = tiltCalibrationStep === "low" ? "lowest" : "highest";
+  const reading = tiltCalibrationAngles ? `${Math.round(tiltCalibrationAngles[axis])}°` : "waiting for motion data…";
+  prompt.textContent = `Step ${tiltCalibrationStep === "low" ? 1 : 2} of 2: hold the device where the ${pose} note should be, then press "Set ${pose}". Current ${axis}: ${reading}`;
+  captureBtn.textContent = `Set ${pose}`;
+}
+
+function renderTiltParams() {
+  const container = document.getElementById("tilt-params");
+  container.innerHTML = "";
+  TILT_PARAMS.forEach(param => {
+    container.appendChild(createParamRow(param, appState.tiltCalibration[param.key], (value, isFinal) => {
+      appState.tiltCalibration[param.key] = value;
+      if (param.key === "axis") {
+        // A pose range only means something for the axis it was taken on
+        appState.tiltCalibration.low = DEFAULT_TILT_CALIBRATION.low;
+        appState.tiltCalibration.high = DEFAULT_TILT_CALIBRATION.high;
+        renderTiltCalibration();
+      }
+      if (isFinal) saveTiltCalibration();
+    }));
+  });
+}
+
+function initTiltCalibration() {
+  const stored = loadStored("tiltCalibration", {});
+  const calibration = { ...DEFAULT_TILT_CALIBRATION };
+  if (TILT_AXES.includes(stored.axis)) calibration.axis = stored.axis;
+  if (typeof stored.invert === "boolean") calibration.invert = stored.invert;
+  if (typeof stored.smoothing === "number") calibration.smoothing = Math.max(0, Math.min(0.95, stored.smoothing));
+  if (typeof stored.low === "number" && typeof stored.high === "number" && stored.low !== stored.high) {
+    calibration.low = stored.low;
+    calibration.high = stored.high;
+  }
+  appState.tiltCalibration = calibration;
+
+  renderTiltParams();
+
+  document.getElementById("tilt-calibrate").addEventListener("click", () => {
+    if (tiltCalibrationStep) stopTiltCalibration();
+    else startTiltCalibration();
+  });
+  document.getElementById("tilt-capture").addEventListener("click", captureTiltPose);
+  document.getElementById("tilt-calibration-reset").addEventListener("click", () => {
+    appState.tiltCalibration = { ...DEFAULT_TILT_CALIBRATION };
+    saveTiltCalibration();
+    stopTiltCalibration();
+    renderTiltParams();
+  });
+  renderTiltCalibration();
+}
+
+// -------------------------------------------------------------------
+// Camera Theremin
+// -------------------------------------------------------------------
+// Plays the lead from hands in front of the webcam, entirely in the browser: nothing
+// is sent anywhere. Each frame goes through the hand-landmark model in
+// camera-tracking.js, loaded from vendor/human/ the first time the camera starts; the
+// pitch hand's palm height plays the note, the other hand drives the "camera"
+// expression axis (volume by default).
+// The source is any <video>, so a recorded clip can stand in for the webcam: open the
+// app with ?camera=<video url> to play a clip from this site back through the tracker.
+const CAMERA_PARAMS = [
+  { key: "cameraHand", label: "Pitch hand", options: ["right", "left"] },
+  { key: "cameraSensitivity", label: "Sensitivity", min: 0.1, max: 1, step: 0.05 }
+];
+const HAND_MODEL_URL = "vendor/human/";
+
+let cameraVideo = null;
+let cameraFrameRequest = null;
+let cameraTracker = null;
+let handDetectorRequest = null;
+let detectCameraHands = null;
+let cameraDetecting = false;
+
+// -> Promise of the hand detector, loaded once and kept for later camera runs
+function loadHandDetector() {
+  if (!handDetectorRequest) {
+    handDetectorRequest = createHandDetector(new URL(HAND_MODEL_URL, window.location.href).href)
+      .catch(err => {
+        handDetectorRequest = null; // try again on the next start
+        throw err;
+      });
+  }
+  return handDetectorRequest;
+}
+
+// Where the tracker's hands end up: the "camera" theremin voice and expression axis
+const cameraOutput = {
+  express: height => applyLeadExpression("camera", height),
+  stop: () => stopThereminVoice("camera"),
+  play: normalized => {
+    const freq = normalizedToThereminFreq(normalized);
+    let voice = thereminVoices.get("camera");
+    if (voice) {
+      thereminGlide(freq, voice);
+    } else {
+      voice = startThereminVoice("camera");
+      if (!voice) return;
+      thereminAttack(freq, voice);
+    }
+    updateThereminVisualsFromNormalized(normalized, voice.indicator);
+  }
+};
+
+function trackCameraFrame() {
+  cameraFrameRequest = requestAnimationFrame(trackCameraFrame);
+  if (cameraVideo.readyState < 2) return; // no frame decoded yet
+  // One frame at a time: those that come in while the model is busy are skipped
+  if (cameraDetecting) return;
+  const video = cameraVideo;
+  cameraDetecting = true;
+  detectCameraHands(video)
+    .then(hands => {
+      if (video !== cameraVideo || !appState.isAudioStarted) return; // stopped meanwhile
+      // Sensitivity 1 takes hands the model is only half sure of, 0.1 only clear ones
+      const minScore = 0.9 - appState.theremin.cameraSensitivity * 0.4;
+      const heights = findHandHeights(hands, video.videoWidth, video.videoHeight, minScore);
+      playCameraHands(cameraTracker, heights, appState.theremin.cameraHand, cameraOutput);
+    })
+    .catch(err => console.error("Hand tracking failed:", err))
+    .finally(() => {
+      cameraDetecting = false;
+    });
+}
+
+// -> a playing <video> of the webcam, or of the ?camera= clip
+function openCameraVideo() {
+  const video = document.getElementById("camera-preview");
+  const fixture = new URLSearchParams(window.location.search).get("camera");
+  if (fixture) {
+    // Only clips served by this site: the page isn't a player for arbitrary URLs
+    const clip = new URL(fixture, window.location.href);
+    if (clip.origin !== window.location.origin) {
+      return Promise.reject(new Error("?camera= only plays clips from this site"));
+    }
+    video.srcObject = null;
+    video.src = clip.href;
+    video.loop = true;
+    return video.play().then(() => video);
+  }
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+    return Promise.reject(new Error("This browser can't use a camera"));
+  }
+  return navigator.mediaDevices.getUserMedia({ video: { width: 320, height: 240 }, audio: false })
+    .then(stream => {
+      video.srcObject = stream;
+      return video.play().then(() => video);
+    });
+}
+
+function startCameraTheremin() {
+  const button = document.getElementById("camera-toggle");
+  button.disabled = true;
+  button.textContent = "Loading hand model…";
+  // The model first, so a failed load doesn't leave the webcam on
+  loadHandDetector()
+    .then(detect => {
+      detectCameraHands = detect;
+      return openCameraVideo();
+    })
+    .then(video => {
+      cameraVideo = video;
+      cameraTracker = createCameraTracker();
+      video.hidden = false;
+      button.textContent = "Stop camera";
+      trackCameraFrame();
+    })
+    .catch(err => {
+      console.error("Camera theremin unavailable:", err);
+      alert(`Couldn't start the camera: ${err.message}`);
+      button.textContent = "Start camera";
+    })
+    .finally(() => {
+      button.disabled = false;
+    });
+}
+
+function stopCameraTheremin() {
+  cancelAnimationFrame(cameraFrameRequest);
+  cameraFrameRequest = null;
+  stopThereminVoice("camera");
+  if (cameraVideo) {
+    if (cameraVideo.srcObject) cameraVideo.srcObject.getTracks().forEach(track => track.stop());
+    cameraVideo.pause();
+    cameraVideo.srcObject = null;
+    cameraVideo.removeAttribute("src");
+    cameraVideo.hidden = true;
+    cameraVideo = null;
+  }
+  document.getElementById("camera-toggle").textContent = "Start camera";
+}
+
+function initCameraTheremin() {
+  document.getElementById("camera-toggle").addEventListener("click", () => {
+    if (cameraVideo) stopCameraTheremin();
+    else startCameraTheremin();
+  });
+}
+
+// -------------------------------------------------------------------
+// MIDI Output
+// -------------------------------------------------------------------
+// The messages themselves are built in midi-output.js; this part picks the port and
+// keeps one output per settings/voice count
+let midiAccessRequest = null;
+let performanceMidiOutput = null; // see configureMidiOutput
+
+function getMidiOutputPort() {
+  const settings = appState.midiOutput;
+  if (!settings.enabled || !appState.midiAccess || !settings.portId) return null;
+  return appState.midiAccess.outputs.get(settings.portId) || null;
+}
+
+function sendMidi(message) {
+  const port = getMidiOutputPort();
+  if (port) port.send(message);
+}
+
+// Silence anything left ringing on the current port/channels
+function midiPanic() {
+  if (!getMidiOutputPort() || !performanceMidiOutput) return;
+  performanceMidiOutput.panic();
+}
+
+// (Re)build the output for the current settings and tell the receiving synth how to
+// interpret the lead channels
+function configureMidiOutput() {
+  if (performanceMidiOutput) performanceMidiOutput.release();
+  performanceMidiOutput = createPerformanceMidiOutput(sendMidi, appState.midiOutput, appState.theremin.voices);
+  if (getMidiOutputPort()) performanceMidiOutput.configure();
+}
+
+function sendPerformanceToMidi(event) {
+  if (!getMidiOutputPort() || !performanceMidiOutput) return;
+  performanceMidiOutput.play(event);
+}
+
+onPerformanceEvent(sendPerformanceToMidi);
+
+// Mute the built-in synths when MIDI is driving external instruments instead
+function applyLocalAudioSetting() {
+  if (!appState.synth) return;
+  const settings = appState.midiOutput;
+  Tone.Destination.mute = settings.enabled && !settings.localAudio;
+}
+
+function updateMidiStatus(message) {
+  document.querySelectorAll(".midi-status").forEach(status => {
+    status.textContent = message;
+  });
+}
+
+function refreshMidiOutputPorts() {
+  const select = document.getElementById("midi-output-port");
+  if (!select) return;
+
+  const ports = appState.midiAccess ? [...appState.midiAccess.outputs.values()] : [];
+  select.innerHTML = "";
+  if (ports.length === 0) {
+    const option = document.createElement("option");
+    option.value = "";
+    option.textContent = "No MIDI outputs found";
+    select.appendChild(option);
+  }
+  ports.forEach(port => {
+    const option = document.createElement("option");
+    option.value = port.id;
+    option.textContent = port.name || port.id;
+    select.appendChild(option);
+  });
+
+  // Fall back to the first port if the saved one isn't connected
+  if (ports.length > 0 && !ports.some(port => port.id === appState.midiOutput.portId)) {
+    appState.midiOutput.portId = ports[0].id;
+    saveStored("midiOutput", appState.midiOutput);
+    configureMidiOutput();
+  }
+  select.value = appState.midiOutput.portId;
+
+  updateMidiDeviceStatus();
+}
+
+function updateMidiDeviceStatus() {
+  const access = appState.midiAccess;
+  if (!access) return;
+  updateMidiStatus(`${access.outputs.size} MIDI output(s), ${access.inputs.size} input(s) connected.`);
+}
+
+function initMidi() {
+  if (midiAccessRequest) return midiAccessRequest;
+
+  midiAccessRequest = requestMidiAccess(typeof navigator === "undefined" ? null : navigator)
+    .then(({ access, problem, error }) => {
+      if (problem === "missing") {
+        updateMidiStatus("Web MIDI is not available in this browser.");
+        return null;
+      }
+      if (problem === "denied") {
+        console.warn("MIDI access denied:", error);
+        updateMidiStatus("MIDI access was denied.");
+        midiAccessRequest = null; // Allow retrying from the settings panel
+        return null;
+      }
+      appState.midiAccess = access;
+      access.addEventListener("statechange", refreshMidiOutputPorts);
+      access.addEventListener("statechange", refreshMidiInputPorts);
+      refreshMidiOutputPorts();
+      refreshMidiInputPorts();
+      configureMidiOutput();
+      return access;
+    });
+  return midiAccessRequest;
+}
+
+function updateMidiOutputControls() {
+  const settings = appState.midiOutput;
+  const isMpe = settings.leadMode === "mpe";
+  document.getElementById("midi-output-enabled").checked = settings.enabled;
+  document.getElementById("midi-chord-channel").value = String(settings.chordChannel);
+  document.getElementById("midi-lead-mode").value = settings.leadMode;
+  document.getElementById("midi-lead-channel").value = String(getFirstLeadMidiChannel(settings));
+  document.getElementById("midi-lead-channel").disabled = isMpe;
+  document.getElementById("midi-bend-range").value = String(getLeadBendRange(settings));
+  document.getElementById("midi-bend-range").disabled = isMpe;
+  document.getElementById("midi-local-audio").checked = settings.localAudio;
+  updateMidiLeadChannelWarning();
+}
+
+// Lead voices past channel 16 (the chord channel is skipped) only play the built-in sound
+function updateMidiLeadChannelWarning() {
+  const warning = document.getElementById("midi-lead-channel-warning");
+  const voices = appState.theremin.voices;
+  const channels = getLeadMidiChannels(appState.midiOutput, voices);
+  warning.hidden = channels.length >= voices;
+  warning.textContent = channels.length === 0
+    ? "No channel is left for the theremin: pick a lower lead channel."
+    : `Only ${channels.length} of the theremin's ${voices} voices fit on channels up to 16; the others only play the built-in sound.`;
 }
+
+function setMidiOutputOption(name, value) {
+  midiPanic();
+  appState.midiOutput[name] = value;
+  saveStored("midiOutput", appState.midiOutput);
+  if (appState.midiOutput.enabled) initMidi();
+  configureMidiOutput();
+  applyLocalAudioSetting();
+  updateMidiOutputControls();
+}
+
+function initMidiOutputSettings() {
+  appState.midiOutput = { ...appState.midiOutput, ...loadStored("midiOutput", {}) };
+
+  document.querySelectorAll(".midi-channel-select").forEach(select => {
+    for (let ch = 1; ch <= 16; ch++) {
+      const option = document.createElement("option");
+      option.value = String(ch);
+      option.textContent = String(ch);
+      select.appendChild(option);
+    }
+  });
+
+  const bind = (id, event, read) => {
+    document.getElementById(id).addEventListener(event, (e) => read(e.target));
+  };
+  bind("midi-output-enabled", "change", el => setMidiOutputOption("enabled", el.checked));
+  bind("midi-output-port", "change", el => setMidiOutputOption("portId", el.value));
+  bind("midi-chord-channel", "change", el => setMidiOutputOption("chordChannel", parseInt(el.value, 10)));
+  bind("midi-lead-mode", "change", el => setMidiOutputOption("leadMode", el.value));
+  bind("midi-lead-channel", "change", el => setMidiOutputOption("leadChannel", parseInt(el.value, 10)));
+  bind("midi-bend-range", "change", el => {
+    const range = Math.max(1, Math.min(48, parseInt(el.value, 10) || 2));
+    setMidiOutputOption("bendRange", range);
+  });
+  bind("midi-local-audio", "change", el => setMidiOutputOption("localAudio", el.checked));
+
+  updateMidiOutputControls();
+  refreshMidiOutputPorts();
+  configureMidiOutput();
+  if (appState.midiOutput.enabled) {
+    initMidi();
+  } else {
+    updateMidiStatus("Enable to request access to MIDI devices.");
+  }
+}
+
+// -------------------------------------------------------------------
+// MIDI Input
+// -------------------------------------------------------------------
+// Default pads: notes 36-42 (C1-F#1, the first pads on most controllers) play degrees 1-7,
+// notes 48-59 hold the modifiers.
+const DEFAULT_MIDI_BINDINGS = {
+  "note:36": "degree:1",
+  "note:37": "degree:2",
+  "note:38": "degree:3",
+  "note:39": "degree:4",
+  "note:40": "degree:5",
+  "note:41": "degree:6",
+  "note:42": "degree:7",
+  ...Object.fromEntries(Object.keys(MODIFIER_LABELS).map((mod, i) => [`note:${48 + i}`, `modifier:${mod}`]))
+};
+
+// Messages currently held down, so repeated CC values don't re-trigger
+const heldMidiMessages = new Set();
+
+function saveMidiInputSettings() {
+  saveStored("midiInput", appState.midiInput);
+}
+
+function describeMidiMessage(messageKey) {
+  const [kind, number] = messageKey.split(":");
+  if (kind === "note") return `${Note.fromMidi(parseInt(number, 10))} (${number})`;
+  return `CC ${number}`;
+}
+
+function getMidiBindingForAction(actionId) {
+  const bindings = appState.midiInput.bindings;
+  return Object.keys(bindings).find(key => bindings[key] === actionId) || null;
+}
+
+// One binding per action: learning a message replaces the action's old binding
+// and steals the message from any other action.
+function bindMidiMessage(messageKey, actionId) {
+  const bindings = appState.midiInput.bindings;
+  Object.keys(bindings).forEach(key => {
+    if (bindings[key] === actionId) delete bindings[key];
+  });
+  bindings[messageKey] = actionId;
+  saveMidiInputSettings();
+}
+
+function handleMidiMessage(event) {
+  const [status, data1, data2 = 0] = event.data;
+  const command = status & 0xf0;
+
+  let messageKey;
+  let isPressed;
+  if (command === MIDI_NOTE_ON || command === MIDI_NOTE_OFF) {
+    messageKey = `note:${data1}`;
+    isPressed = command === MIDI_NOTE_ON && data2 > 0; // Note on with velocity 0 is a note off
+  } else if (command === MIDI_CONTROL_CHANGE) {
+    messageKey = `cc:${data1}`;
+    isPressed = data2 >= 64;
+  } else {
+    return;
+  }
+
+  if (appState.midiLearnAction) {
+    if (isPressed) {
+      bindMidiMessage(messageKey, appState.midiLearnAction);
+      appState.midiLearnAction = null;
+      renderMidiMappingList();
+      refreshMidiInputPorts();
+    }
+    return;
+  }
+
+  const actionId = appState.midiInput.bindings[messageKey];
+  if (!actionId || !appState.isAudioStarted) return;
+  if (isPressed === heldMidiMessages.has(messageKey)) return;
+
+  if (isPressed) heldMidiMessages.add(messageKey);
+  else heldMidiMessages.delete(messageKey);
+  performAction(actionId, isPressed);
+}
+
+// Listen on the chosen input (or all of them); re-run whenever devices come and go
+function refreshMidiInputPorts() {
+  const select = document.getElementById("midi-input-port");
+  const ports = appState.midiAccess ? [...appState.midiAccess.inputs.values()] : [];
+  const settings = appState.midiInput;
+
+  if (select) {
+    select.innerHTML = "";
+    const allOption = document.createElement("option");
+    allOption.value = "all";
+    allOption.textContent = "All inputs";
+    select.appendChild(allOption);
+    ports.forEach(port => {
+      const option = document.createElement("option");
+      option.value = port.id;
+      option.textContent = port.name || port.id;
+      select.appendChild(option);
+    });
+    select.value = ports.some(port => port.id === settings.portId) ? settings.portId : "all";
+  }
+
+  // Learn mode listens even while playing from MIDI is switched off
+  const isActive = settings.enabled || appState.midiLearnAction !== null;
+  ports.forEach(port => {
+    const isListening = isActive && (settings.portId === "all" || settings.portId === port.id);
+    port.onmidimessage = isListening ? handleMidiMessage : null;
+  });
+  updateMidiDeviceStatus();
+}
+
+function renderMidiMappingList() {
+  const list = document.getElementById("midi-mapping-list");
+  if (!list) return;
+  renderBindingTable(list, {
+    actions: INPUT_ACTIONS.filter(action => !action.keyboardOnly),
+    getBindings: actionId => {
+      const binding = getMidiBindingForAction(actionId);
+      return binding ? [binding] : [];
+    },
+    describe: describeMidiMessage,
+    learningId: appState.midiLearnAction,
+    onLearn: actionId => {
+      appState.midiLearnAction = actionId;
+      renderMidiMappingList();
+      initMidi().then(refreshMidiInputPorts);
+    },
+    onRemove: (actionId, binding) => {
+      delete appState.midiInput.bindings[binding];
+      saveMidiInputSettings();
+      renderMidiMappingList();
+    }
+  });
+}
+
+function initMidiInputSettings() {
+  const stored = loadStored("midiInput", {});
+  appState.midiInput = {
+    ...appState.midiInput,
+    ...stored,
+    bindings: stored.bindings || { ...DEFAULT_MIDI_BINDINGS }
+  };
+
+  const enabledEl = document.getElementById("midi-input-enabled");
+  enabledEl.checked = appState.midiInput.enabled;
+  enabledEl.addEventListener("change", () => {
+    appState.midiInput.enabled = enabledEl.checked;
+    saveMidiInputSettings();
+    if (appState.midiInput.enabled) initMidi();
+    refreshMidiInputPorts();
+  });
+
+  document.getElementById("midi-input-port").addEventListener("change", (e) => {
+    appState.midiInput.portId = e.target.value;
+    saveMidiInputSettings();
+    refreshMidiInputPorts();
+  });
+
+  document.getElementById("midi-mapping-reset").addEventListener("click", () => {
+    appState.midiInput.bindings = { ...DEFAULT_MIDI_BINDINGS };
+    appState.midiLearnAction = null;
+    saveMidiInputSettings();
+    renderMidiMappingList();
+  });
+
+  refreshMidiInputPorts();
+  renderMidiMappingList();
+  if (appState.midiInput.enabled) initMidi();
+}
+
+// -------------------------------------------------------------------
+// Gamepad
+// -------------------------------------------------------------------
+// Buttons play any input action, like MIDI pads; one stick plays the theremin (pitch on
+// one axis, sounding while it's pushed past the deadzone) and another axis drives the
+// "gamepad" expression. Pads are polled every animation frame while any is connected.
+// Default buttons follow the browser's "standard" layout: face buttons and the d-pad
+// play degrees 1-7, shoulders and triggers hold modifiers.
+const DEFAULT_GAMEPAD_BINDINGS = {
+  "button:0": "degree:1", // A / cross
+  "button:1": "degree:2", // B / circle
+  "button:2": "degree:3", // X / square
+  "button:3": "degree:4", // Y / triangle
+  "button:12": "degree:5", // d-pad up
+  "button:15": "degree:6", // d-pad right
+  "button:13": "degree:7", // d-pad down
+  "button:14": "modifier:rootShiftDown", // d-pad left
+  "button:4": "modifier:minor", // left shoulder
+  "button:5": "modifier:dominant", // right shoulder
+  "button:6": "modifier:minorSeventh", // left trigger
+  "button:7": "modifier:majorSeventh", // right trigger
+  "button:8": "theremin:octaveDown", // back / select
+  "button:9": "theremin:octaveUp" // start
+};
+
+const GAMEPAD_BUTTON_NAMES = [
+  "A", "B", "X", "Y", "LB", "RB", "LT", "RT", "Back", "Start", "L3", "R3", "D-pad ↑", "D-pad ↓", "D-pad ←", "D-pad →", "Home"
+];
+
+const GAMEPAD_AXES = { "left stick X": 0, "left stick Y": 1, "right stick X": 2, "right stick Y": 3 };
+
+const GAMEPAD_PARAMS = [
+  { key: "pitchAxis", label: "Theremin pitch", options: Object.keys(GAMEPAD_AXES) },
+  { key: "expressionAxis", label: "Theremin expression", options: ["none", ...Object.keys(GAMEPAD_AXES)] },
+  { key: "deadzone", label: "Stick deadzone", min: 0.05, max: 0.6, step: 0.05 }
+];
+
+const GAMEPAD_BUTTON_THRESHOLD = 0.5; // analog triggers count as pressed past halfway
+
+// "<pad index>:button:<n>" currently held -> the action it pressed (null if none), so a
+// held button isn't re-triggered and is released from the action it started
+const heldGamepadButtons = new Map();
+let gamepadPollRequest = null;
+
+function saveGamepadSettings() {
+  saveStored("gamepad", appState.gamepad);
+}
+
+function describeGamepadButton(buttonKey) {
+  const number = parseInt(buttonKey.split(":")[1], 10);
+  return GAMEPAD_BUTTON_NAMES[number] || `Button ${number}`;
+}
+
+function getGamepadBindingForAction(actionId) {
+  const bindings = appState.gamepad.bindings;
+  return Object.keys(bindings).find(key => bindings[key] === actionId) || null;
+}
+
+function getConnectedGamepads() {
+  if (!navigator.getGamepads) return [];
+  return [...navigator.getGamepads()].filter(Boolean);
+}
+
+function pollGamepadButtons(gamepad) {
+  gamepad.buttons.forEach((button, number) => {
+    const buttonKey = `button:${number}`;
+    const heldKey = `${gamepad.index}:${buttonKey}`;
+    const isPressed = button.pressed || button.value > GAMEPAD_BUTTON_THRESHOLD;
+    if (isPressed === heldGamepadButtons.has(heldKey)) return;
+
+    if (!isPressed) {
+      const actionId = heldGamepadButtons.get(heldKey);
+      heldGamepadButtons.delete(heldKey);
+      if (actionId) performAction(actionId, false);
+      return;
+    }
+
+    if (appState.gamepadLearnAction) {
+      const actionId = appState.gamepadLearnAction;
+      const bindings = appState.gamepad.bindings;
+      Object.keys(bindings).forEach(key => {
+        if (bindings[key] === actionId) delete bindings[key];
+      });
+      bindings[buttonKey] = actionId;
+      appState.gamepadLearnAction = null;
+      heldGamepadButtons.set(heldKey, null);
+      saveGamepadSettings();
+      renderGamepadMappingList();
+      return;
+    }
+
+    const actionId = appState.isAudioStarted ? appState.gamepad.bindings[buttonKey] || null : null;
+    heldGamepadButtons.set(heldKey, actionId);
+    if (actionId) performAction(actionId, true);
+  });
+}
+
+function pollGamepadStick(gamepad) {
+  const inputId = `gamepad:${gamepad.index}`;
+  const settings = appState.gamepad;
+  const pitchValue = gamepad.axes[GAMEPAD_AXES[settings.pitchAxis]] || 0;
+
+  if (Math.abs(pitchValue) < settings.deadzone || !appState.isAudioStarted) {
+    stopThereminVoice(inputId);
+    return;
+  }
+
+  if (settings.expressionAxis !== "none") {
+    const expressionValue = gamepad.axes[GAMEPAD_AXES[settings.expressionAxis]] || 0;
+    applyLeadExpression("gamepad", (expressionValue + 1) / 2);
+  }
+
+  // Stick up is -1 on every standard pad: push up for higher notes. The travel past the
+  // deadzone is stretched back over each half of the range, so just leaving the deadzone
+  // plays the middle of the theremin instead of skipping it.
+  const travel = (Math.abs(pitchValue) - settings.deadzone) / (1 - settings.deadzone);
+  const normalized = 0.5 - Math.sign(pitchValue) * travel / 2;
+  const freq = normalizedToThereminFreq(normalized);
+  let voice = thereminVoices.get(inputId);
+  if (voice) {
+    thereminGlide(freq, voice);
+  } else {
+    voice = startThereminVoice(inputId);
+    if (!voice) return;
+    thereminAttack(freq, voice);
+  }
+  updateThereminVisualsFromNormalized(normalized, voice.indicator);
+}
+
+function pollGamepads() {
+  gamepadPollRequest = null;
+  const gamepads = getConnectedGamepads();
+  if (gamepads.length === 0) return;
+  const isActive = appState.gamepad.enabled || appState.gamepadLearnAction !== null;
+  if (isActive) {
+    gamepads.forEach(gamepad => {
+      pollGamepadButtons(gamepad);
+      if (appState.gamepad.enabled) pollGamepadStick(gamepad);
+    });
+  }
+  gamepadPollRequest = requestAnimationFrame(pollGamepads);
+}
+
+// Let go of everything a pad was holding, so unplugging it mid-chord doesn't leave notes on
+function releaseGamepad(index) {
+  [...heldGamepadButtons].forEach(([heldKey, actionId]) => {
+    if (parseInt(heldKey.split(":")[0], 10) !== index) return;
+    heldGamepadButtons.delete(heldKey);
+    if (actionId) performAction(actionId, false);
+  });
+  stopThereminVoice(`gamepad:${index}`);
+}
+
+function updateGamepadStatus() {
+  const status = document.getElementById("gamepad-status");
+  if (!status) return;
+  if (!navigator.getGamepads) {
+    status.textContent = "Gamepads are not available in this browser.";
+    return;
+  }
+  const names = getConnectedGamepads().map(gamepad => gamepad.id);
+  status.textContent = names.length > 0
+    ? `Connected: ${names.join(", ")}`
+    : "No gamepad connected. Plug one in and press a button.";
+}
+
+function renderGamepadMappingList() {
+  const list = document.getElementById("gamepad-mapping-list");
+  if (!list) return;
+  renderBindingTable(list, {
+    actions: INPUT_ACTIONS.filter(action => !action.keyboardOnly),
+    getBindings: actionId => {
+      const binding = getGamepadBindingForAction(actionId);
+      return binding ? [binding] : [];
+    },
+    describe: describeGamepadButton,
+    learningId: appState.gamepadLearnAction,
+    onLearn: actionId => {
+      appState.gamepadLearnAction = actionId;
+      renderGamepadMappingList();
+    },
+    onRemove: (actionId, binding) => {
+      delete appState.gamepad.bindings[binding];
+      saveGamepadSettings();
+      renderGamepadMappingList();
+    }
+  });
+}
+
+function renderGamepadParams() {
+  const container = document.getElementById("gamepad-params");
+  container.innerHTML = "";
+  GAMEPAD_PARAMS.forEach(param => {
+    container.appendChild(createParamRow(param, appState.gamepad[param.key], (value, isFinal) => {
+      appState.gamepad[param.key] = value;
+      if (isFinal) saveGamepadSettings();
+    }));
+  });
+}
+
+// Keep only "button:<n>" keys bound to actions a pad can play (stored bindings may be
+// from an older version or hand-edited); anything that isn't an object gets the defaults
+function sanitizeGamepadBindings(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { ...DEFAULT_GAMEPAD_BINDINGS };
+  const actionIds = new Set(INPUT_ACTIONS.filter(action => !action.keyboardOnly).map(action => action.id));
+  const bindings = {};
+  Object.entries(raw).forEach(([buttonKey, actionId]) => {
+    if (/^button:\d+$/.test(buttonKey) && actionIds.has(actionId)) bindings[buttonKey] = actionId;
+  });
+  return bindings;
+}
+
+function initGamepadSettings() {
+  const stored = loadStored("gamepad", {});
+  const settings = appState.gamepad;
+  if (typeof stored.enabled === "boolean") settings.enabled = stored.enabled;
+  GAMEPAD_PARAMS.forEach(param => {
+    const value = stored[param.key];
+    if (param.options) {
+      if (param.options.includes(value)) settings[param.key] = value;
+    } else if (typeof value === "number") {
+      settings[param.key] = Math.max(param.min, Math.min(param.max, value));
+    }
+  });
+  settings.bindings = sanitizeGamepadBindings(stored.bindings);
+
+  const enabledEl = document.getElementById("gamepad-enabled");
+  enabledEl.checked = settings.enabled;
+  enabledEl.addEventListener("change", () => {
+    settings.enabled = enabledEl.checked;
+    saveGamepadSettings();
+    if (!settings.enabled) getConnectedGamepads().forEach(gamepad => releaseGamepad(gamepad.index));
+  });
+
+  document.getElementById("gamepad-mapping-reset").addEventListener("click", () => {
+    settings.bindings = { ...DEFAULT_GAMEPAD_BINDINGS };
+    appState.gamepadLearnAction = null;
+    saveGamepadSettings();
+    renderGamepadMappingList();
+  });
+
+  // Hot-plugging: browsers only expose a pad once one of its buttons has been pressed
+  window.addEventListener("gamepadconnected", () => {
+    updateGamepadStatus();
+    if (gamepadPollRequest === null) pollGamepads();
+  });
+  window.addEventListener("gamepaddisconnected", (e) => {
+    releaseGamepad(e.gamepad.index);
+    updateGamepadStatus();
+  });
+
+  renderGamepadParams();
+  renderGamepadMappingList();
+  updateGamepadStatus();
+  if (getConnectedGamepads().length > 0) pollGamepads();
+}
+
+// -------------------------------------------------------------------
+// Session Recording (MIDI and audio export)
+// -------------------------------------------------------------------
+// Records the performance events (see Voice Output) with their time since "Rec"; the
+// files are written by recording.js. The master output is taped at the same time
+// (Tone.Recorder) for audio exports.
+let sessionRecording = null; // { startTime, endTime, root, scaleType, events, audio }
+let isRecording = false;
+let isExporting = false;
+let masterRecorder = null;
+
+onPerformanceEvent(event => {
+  if (!isRecording) return;
+  sessionRecording.events.push({ ...event, time: performance.now() - sessionRecording.startTime });
+});
+
+function getRecordingFilename(extension) {
+  const stamp = new Date(performance.timeOrigin + sessionRecording.startTime).toISOString().slice(0, 19).replace(/[:T]/g, "-");
+  return `therochord-${stamp}.${extension}`;
+}
+
+function getCompressedExtension(mimeType) {
+  if (mimeType.includes("ogg")) return "ogg";
+  if (mimeType.includes("mp4")) return "m4a";
+  return "webm";
+}
+
+function updateRecordingControls() {
+  const recordBtn = document.getElementById("record-btn");
+  recordBtn.classList.toggle("recording", isRecording);
+  recordBtn.textContent = isRecording ? "■ Stop" : "● Rec";
+
+  const hasEvents = sessionRecording && sessionRecording.events.length > 0;
+  const hasAudio = sessionRecording && sessionRecording.audio;
+  const formatSelect = document.getElementById("export-format");
+  formatSelect.querySelectorAll(".needs-audio").forEach(option => {
+    option.disabled = !hasAudio;
+  });
+  if (formatSelect.selectedOptions[0].disabled) formatSelect.value = "midi";
+
+  const exportBtn = document.getElementById("export-btn");
+  exportBtn.disabled = isRecording || isExporting || !(hasEvents || hasAudio);
+  exportBtn.textContent = isExporting ? "Exporting…" : "Export";
+}
+
+function startRecording() {
+  const now = performance.now();
+  sessionRecording = { startTime: now, endTime: now, root: appState.root, scaleType: appState.scaleType, events: [], audio: null };
+  isRecording = true;
+
+  // Tap the master output too, where the browser can record it
+  if (Tone.Recorder.supported) {
+    if (!masterRecorder) {
+      masterRecorder = new Tone.Recorder();
+      Tone.Destination.connect(masterRecorder);
+    }
+    masterRecorder.start();
+  }
+  updateRecordingControls();
+}
+
+async function stopRecording() {
+  if (!isRecording) return;
+  isRecording = false;
+  const recording = sessionRecording;
+  recording.endTime = performance.now();
+  updateRecordingControls();
+
+  if (masterRecorder && masterRecorder.state === "started") {
+    recording.audio = await masterRecorder.stop();
+    updateRecordingControls();
+  }
+}
+
+async function exportRecording(format) {
+  if (!sessionRecording) return;
+  const recording = sessionRecording;
+  switch (format) {
+    case "midi":
+      downloadBlob(new Blob([buildMidiFile(recording, appState.midiOutput)], { type: "audio/midi" }), getRecordingFilename("mid"));
+      break;
+    case "wav": {
+      const decoded = await Tone.getContext().decodeAudioData(await recording.audio.arrayBuffer());
+      downloadBlob(encodeWav(decoded), getRecordingFilename("wav"));
+      break;
+    }
+    case "compressed":
+      downloadBlob(recording.audio, getRecordingFilename(getCompressedExtension(recording.audio.type)));
+      break;
+    case "render": {
+      const rendered = await renderRecordingOffline(recording, () => createAudioGraph());
+      downloadBlob(encodeWav(rendered.get()), getRecordingFilename("wav"));
+      break;
+    }
+  }
+}
+
+function initSessionRecording() {
+  document.getElementById("record-btn").addEventListener("click", (e) => {
+    if (isRecording) {
+      // The events are kept either way; only the audio take can fail
+      stopRecording()
+        .catch(err => {
+          console.error("Recording failed:", err);
+          alert(`Recording failed: ${err.message}`);
+        })
+        .finally(updateRecordingControls);
+    } else {
+      startRecording();
+    }
+    e.target.blur();
+  });
+  document.getElementById("export-btn").addEventListener("click", (e) => {
+    e.target.blur();
+    isExporting = true;
+    updateRecordingControls();
+    exportRecording(document.getElementById("export-format").value)
+      .catch(err => {
+        console.error("Export failed:", err);
+        alert(`Export failed: ${err.message}`);
+      })
+      .finally(() => {
+        isExporting = false;
+        updateRecordingControls();
+      });
+  });
+  updateRecordingControls();
+}
+
+// -------------------------------------------------------------------
+// Looper
+// -------------------------------------------------------------------
+// Loops on Tone.Transport: bar 1 is the count-in, the loop runs from bar 2 for
+// `bars` bars. Every pass recorded (first take or overdub) becomes one layer, so undo
+// removes one pass. Layers replay on their own synths, leaving the live voices free.
+const LOOPER_BEATS_PER_BAR = 4;
+const LOOPER_LOOP_START = "1m";
+const LOOPER_GRID_BEATS = { "4n": 1, "8n": 0.5, "16n": 0.25 };
+
+const looper = {
+  state: "idle", // "idle" | "loading" | "countIn" | "recording" | "playing" | "overdub" | "stopped"
+  layers: [], // [{ events: [{ tick, voice, type, notes | freq }], part }]
+  take: null, // layer being recorded: { events, heldNotes: Map(note -> tick), leadFreq }
+  graph: null,
+  click: null,
+  scheduleIds: []
+};
+
+function getLooperPpq() {
+  return Tone.Transport.PPQ;
+}
+
+function getLoopTicks() {
+  return appState.looper.bars * LOOPER_BEATS_PER_BAR * getLooperPpq();
+}
+
+function getLoopStartTicks() {
+  return LOOPER_BEATS_PER_BAR * getLooperPpq();
+}
+
+function getGridTicks() {
+  const beats = LOOPER_GRID_BEATS[appState.looper.quantize];
+  return beats ? Math.round(beats * getLooperPpq()) : 1;
+}
+
+// Current position inside the loop, in ticks
+function getLoopPosition() {
+  const loopTicks = getLoopTicks();
+  return (((Tone.Transport.ticks - getLoopStartTicks()) % loopTicks) + loopTicks) % loopTicks;
+}
+
+function quantizeLoopTick(tick) {
+  const grid = getGridTicks();
+  return (Math.round(tick / grid) * grid) % getLoopTicks();
+}
+
+// The layers' own synths, built when the looper is armed. The reverb's impulse response
+// and any sample set load before the transport starts, as for the offline render, so
+// the first pass doesn't play through a dry or silent graph.
+async function prepareLooperGraph() {
+  if (!looper.graph) looper.graph = createAudioGraph();
+  await looper.graph.reverb.ready;
+  await Tone.loaded();
+}
+
+function getLooperClick() {
+  if (!looper.click) {
+    looper.click = new Tone.Synth({
+      oscillator: { type: "square" },
+      envelope: { attack: 0.001, decay: 0.05, sustain: 0, release: 0.01 },
+      volume: -14
+    }).toDestination();
+  }
+  return looper.click;
+}
+
+function isLooperTaking() {
+  return looper.state === "recording" || looper.state === "overdub";
+}
+
+function createTake() {
+  // heldNotes: "voice|note" -> attack tick, leadFreqs: sounding lead voice index -> freq
+  return { events: [], heldNotes: new Map(), leadFreqs: new Map() };
+}
+
+// Capture live performance into the current take. Chord presses snap to the grid,
+// the theremin keeps its exact timing.
+onPerformanceEvent(event => {
+  if (!isLooperTaking()) return;
+  const take = looper.take;
+  const position = getLoopPosition();
+
+  if (event.voice === "chord" || event.voice === "bass") {
+    const loopTicks = getLoopTicks();
+    const { voice } = event;
+    if (event.type === "attack") {
+      const tick = quantizeLoopTick(position);
+      event.notes.forEach(n => take.heldNotes.set(`${voice}|${n}`, tick));
+      take.events.push({ tick, voice, type: "attack", notes: [...event.notes] });
+    } else {
+      event.notes.forEach(n => {
+        const heldKey = `${voice}|${n}`;
+        if (!take.heldNotes.has(heldKey)) return;
+        const attackTick = take.heldNotes.get(heldKey);
+        let tick = quantizeLoopTick(position);
+        // Keep at least one grid step so a quick tap isn't swallowed by quantising
+        if (tick <= attackTick) tick = Math.min(attackTick + getGridTicks(), loopTicks - 1);
+        take.heldNotes.delete(heldKey);
+        take.events.push({ tick, voice, type: "release", notes: [n] });
+      });
+    }
+  } else if (event.voice === "lead") {
+    if (event.type === "release") take.leadFreqs.delete(event.index);
+    else take.leadFreqs.set(event.index, event.freq);
+    take.events.push({ tick: position, voice: "lead", type: event.type, freq: event.freq, index: event.index });
+  }
+});
+
+// Close whatever is still held at the end of the take, so a layer never rings forever
+function closeTake(take, tick) {
+  take.heldNotes.forEach((_, heldKey) => {
+    const [voice, n] = heldKey.split("|");
+    take.events.push({ tick, voice, type: "release", notes: [n] });
+  });
+  take.leadFreqs.forEach((_, index) => take.events.push({ tick, voice: "lead", type: "release", index }));
+}
+
+function commitTake(endTick) {
+  const take = looper.take;
+  looper.take = null;
+  if (!take) return null;
+  closeTake(take, endTick);
+  if (take.events.length > 0) {
+    const events = take.events.map(e => ({ ...e, time: `${e.tick}i` }));
+    const part = new Tone.Part((time, event) => playRecordedEvent(looper.graph, event, time), events);
+    part.start(LOOPER_LOOP_START);
+    looper.layers.push({ events: take.events, part });
+  }
+  return take;
+}
+
+// A take running into the next pass: notes still held carry over into the new layer
+function continueTake(previous) {
+  const take = createTake();
+  if (previous) {
+    previous.heldNotes.forEach((_, heldKey) => {
+      const [voice, n] = heldKey.split("|");
+      take.heldNotes.set(heldKey, 0);
+      take.events.push({ tick: 0, voice, type: "attack", notes: [n] });
+    });
+    previous.leadFreqs.forEach((freq, index) => {
+      take.leadFreqs.set(index, freq);
+      take.events.push({ tick: 0, voice: "lead", type: "attack", freq, index });
+    });
+  }
+  looper.take = take;
+}
+
+function handleTransportLoop() {
+  if (!isLooperTaking()) return;
+  const finished = commitTake(getLoopTicks() - 1);
+  if (looper.state === "overdub") {
+    continueTake(finished);
+  } else {
+    setLooperState("playing");
+  }
+}
+
+function clearLooperSchedule() {
+  looper.scheduleIds.forEach(id => Tone.Transport.clear(id));
+  looper.scheduleIds = [];
+}
+
+function silenceLooper() {
+  if (!looper.graph) return;
+  looper.graph.synth.releaseAll();
+  looper.graph.bass.releaseAll();
+  looper.graph.leadVoices.forEach(leadVoice => leadVoice.triggerRelease());
+}
+
+function startTransport(withCountIn) {
+  const transport = Tone.Transport;
+  transport.stop();
+  transport.bpm.value = appState.looper.bpm;
+  transport.timeSignature = LOOPER_BEATS_PER_BAR;
+  transport.loopStart = LOOPER_LOOP_START;
+  transport.loopEnd = `${appState.looper.bars + 1}m`;
+  transport.loop = true;
+
+  clearLooperSchedule();
+  looper.scheduleIds.push(transport.scheduleRepeat(() => renderLooperStatus(), "4n", 0));
+  if (withCountIn) {
+    for (let beat = 0; beat < LOOPER_BEATS_PER_BAR; beat++) {
+      looper.scheduleIds.push(transport.schedule((time) => {
+        getLooperClick().triggerAttackRelease(beat === 0 ? "C6" : "G5", "32n", time);
+      }, `0:${beat}`));
+    }
+    // The loop start comes round again every pass; only the first one ends the count-in
+    looper.scheduleIds.push(transport.schedule(() => {
+      if (looper.state !== "countIn") return;
+      looper.take = createTake();
+      setLooperState("recording");
+    }, LOOPER_LOOP_START));
+    transport.start(undefined, 0);
+  } else {
+    transport.start(undefined, LOOPER_LOOP_START);
+  }
+}
+
+function setLooperState(state) {
+  looper.state = state;
+  renderLooperStatus();
+}
+
+// Start the transport once the graph is ready, then move on to `state` (starting a take
+// if it records). Stopping or clearing while it loads calls the start off.
+function armLooper(withCountIn, state) {
+  const previousState = looper.state;
+  setLooperState("loading");
+  prepareLooperGraph()
+    .then(() => {
+      if (looper.state !== "loading") return;
+      startTransport(withCountIn);
+      if (state === "recording" || state === "overdub") looper.take = createTake();
+      setLooperState(state);
+    })
+    .catch(err => {
+      console.error("Looper failed to load its sounds:", err);
+      alert(`Looper failed to load its sounds: ${err.message}`);
+      if (looper.state === "loading") setLooperState(previousState);
+    });
+}
+
+function looperRecord() {
+  switch (looper.state) {
+    case "idle":
+      if (appState.looper.countIn) armLooper(true, "countIn");
+      else armLooper(false, "recording");
+      break;
+    case "stopped":
+      armLooper(false, "overdub");
+      break;
+    case "playing":
+      looper.take = createTake();
+      setLooperState("overdub");
+      break;
+    case "recording":
+    case "overdub":
+      // Punch out: keep what was played so far
+      commitTake(getLoopPosition());
+      setLooperState("playing");
+      break;
+    case "countIn":
+      stopLooper();
+      break;
+  }
+}
+
+function stopLooper() {
+  if (isLooperTaking()) commitTake(getLoopPosition());
+  looper.take = null;
+  Tone.Transport.stop();
+  clearLooperSchedule();
+  silenceLooper();
+  setLooperState(looper.layers.length > 0 ? "stopped" : "idle");
+}
+
+function toggleLooperPlayback() {
+  if (looper.state === "idle") return;
+  if (looper.state === "stopped") {
+    armLooper(false, "playing");
+  } else {
+    stopLooper();
+  }
+}
+
+function undoLooperLayer() {
+  if (looper.take && looper.take.events.length > 0) {
+    // Drop the take in progress, keep recording on this pass
+    looper.take = createTake();
+  } else if (looper.layers.length > 0) {
+    looper.layers.pop().part.dispose();
+    silenceLooper();
+  }
+  if (looper.layers.length === 0 && !looper.take && looper.state !== "countIn") stopLooper();
+  renderLooperStatus();
+}
+
+function clearLooper() {
+  looper.take = null;
+  looper.layers.forEach(layer => layer.part.dispose());
+  looper.layers = [];
+  stopLooper();
+}
+
+function performLooperAction(name) {
+  if (!appState.isAudioStarted) return;
+  switch (name) {
+    case "record": looperRecord(); break;
+    case "play": toggleLooperPlayback(); break;
+    case "undo": undoLooperLayer(); break;
+    case "clear": clearLooper(); break;
+  }
+}
+
+function renderLooperStatus() {
+  const running = !["idle", "stopped"].includes(looper.state);
+  const recordBtn = document.getElementById("looper-record");
+  recordBtn.classList.toggle("recording", isLooperTaking() || looper.state === "countIn");
+  recordBtn.textContent = looper.layers.length > 0 || isLooperTaking() ? "● Overdub" : "● Loop";
+  document.getElementById("looper-play").textContent = running ? "■ Stop" : "▶ Play";
+  document.getElementById("looper-play").disabled = looper.state === "idle";
+  document.getElementById("looper-undo").disabled = looper.layers.length === 0 && !looper.take;
+  document.getElementById("looper-clear").disabled = looper.state === "idle";
+  document.getElementById("looper-bars").disabled = looper.state !== "idle";
+
+  const labels = {
+    idle: "Empty",
+    loading: "Loading sounds…",
+    countIn: "Count-in…",
+    recording: "Recording",
+    playing: "Playing",
+    overdub: "Overdubbing",
+    stopped: "Stopped"
+  };
+  let status = labels[looper.state];
+  if (looper.layers.length > 0) status += ` · ${looper.layers.length} layer${looper.layers.length === 1 ? "" : "s"}`;
+  if (running && looper.state !== "countIn" && looper.state !== "loading") {
+    const beat = Math.floor(getLoopPosition() / getLooperPpq());
+    status += ` · ${Math.floor(beat / LOOPER_BEATS_PER_BAR) + 1}.${(beat % LOOPER_BEATS_PER_BAR) + 1}`;
+  }
+  document.getElementById("looper-status").textContent = status;
+}
+
+function saveLooperSettings() {
+  saveStored("looper", appState.looper);
+}
+
+function initLooper() {
+  appState.looper = { ...appState.looper, ...loadStored("looper", {}) };
+  const settings = appState.looper;
+
+  const bpmEl = document.getElementById("looper-bpm");
+  bpmEl.value = settings.bpm;
+  bpmEl.addEventListener("change", () => {
+    const bpm = Math.max(40, Math.min(240, parseInt(bpmEl.value, 10) || settings.bpm));
+    bpmEl.value = bpm;
+    settings.bpm = bpm;
+    Tone.Transport.bpm.value = bpm;
+    saveLooperSettings();
+  });
+
+  const barsEl = document.getElementById("looper-bars");
+  barsEl.value = String(settings.bars);
+  barsEl.addEventListener("change", () => {
+    settings.bars = parseInt(barsEl.value, 10);
+    saveLooperSettings();
+  });
+
+  const quantizeEl = document.getElementById("looper-quantize");
+  quantizeEl.value = settings.quantize;
+  quantizeEl.addEventListener("change", () => {
+    settings.quantize = quantizeEl.value;
+    saveLooperSettings();
+  });
+
+  const countInEl = document.getElementById("looper-count-in");
+  countInEl.checked = settings.countIn;
+  countInEl.addEventListener("change", () => {
+    settings.countIn = countInEl.checked;
+    saveLooperSettings();
+  });
+
+  ["record", "play", "undo", "clear"].forEach(name => {
+    document.getElementById(`looper-${name}`).addEventListener("click", (e) => {
+      performLooperAction(name);
+      e.target.blur();
+    });
+  });
+
+  Tone.Transport.on("loop", handleTransportLoop);
+  renderLooperStatus();
+}
+
+// -------------------------------------------------------------------
+// Sound Design Panel
+// -------------------------------------------------------------------
+// Editor rows are generated from these tables. `log` sliders move exponentially,
+// `onRelease` params are only applied when the slider is let go (the reverb
+// regenerates its impulse response on every decay change).
+const VOICE_SOUND_PARAMS = [
+  { key: "oscillator", label: "Waveform", options: ["sine", "triangle", "square", "sawtooth"] },
+  { key: "unison", label: "Unison voices", min: 1, max: 7, step: 1 },
+  { key: "spread", label: "Unison spread", min: 0, max: 80, step: 1, unit: "¢" },
+  { key: "detune", label: "Detune", min: -100, max: 100, step: 1, unit: "¢" },
+  { key: "attack", label: "Attack", min: 0.001, max: 4, log: true, unit: "s" },
+  { key: "decay", label: "Decay", min: 0.01, max: 4, log: true, unit: "s" },
+  { key: "sustain", label: "Sustain", min: 0, max: 1, step: 0.01 },
+  { key: "release", label: "Release", min: 0.01, max: 8, log: true, unit: "s" },
+  { key: "filterType", label: "Filter", options: ["lowpass", "highpass", "bandpass"] },
+  { key: "cutoff", label: "Cutoff", min: 40, max: 20000, log: true, unit: "Hz" },
+  { key: "resonance", label: "Resonance", min: 0.1, max: 20, step: 0.1 },
+  { key: "envAmount", label: "Filter envelope", min: 0, max: 7, step: 0.1, unit: "oct" },
+  { key: "filterAttack", label: "Filter attack", min: 0.001, max: 4, log: true, unit: "s" },
+  { key: "filterDecay", label: "Filter decay", min: 0.01, max: 4, log: true, unit: "s" },
+  { key: "filterSustain", label: "Filter sustain", min: 0, max: 1, step: 0.01 },
+  { key: "filterRelease", label: "Filter release", min: 0.01, max: 8, log: true, unit: "s" },
+  { key: "portamento", label: "Portamento", min: 0, max: 1, step: 0.01, unit: "s", voices: ["lead"] },
+  { key: "volume", label: "Volume", min: -40, max: 6, step: 1, unit: "dB" }
+];
+
+const REVERB_SOUND_PARAMS = [
+  { key: "decay", label: "Size", min: 0.2, max: 10, step: 0.1, unit: "s", onRelease: true },
+  { key: "wet", label: "Wet", min: 0, max: 1, step: 0.01 }
+];
+
+const LOG_SLIDER_STEPS = 1000;
+
+// Partial presets, merged over DEFAULT_SOUND
+const BUILT_IN_SOUND_PRESETS = {
+  "Default": {},
+  "Warm pad": {
+    chord: { oscillator: "sawtooth", unison: 3, spread: 25, attack: 0.6, decay: 0.5, sustain: 0.8, release: 2.5, cutoff: 700, envAmount: 2, filterAttack: 1, filterDecay: 1.5, filterSustain: 0.6, filterRelease: 2.5, volume: -16 },
+    reverb: { decay: 4, wet: 0.6 }
+  },
+  "Glass keys": {
+    chord: { oscillator: "sine", unison: 2, spread: 8, attack: 0.005, decay: 0.8, sustain: 0.15, release: 1.5, volume: -8 },
+    lead: { oscillator: "triangle", portamento: 0.02 },
+    reverb: { decay: 3, wet: 0.5 }
+  },
+  "Saw lead": {
+    lead: { oscillator: "sawtooth", unison: 2, spread: 12, attack: 0.02, cutoff: 400, resonance: 4, envAmount: 4, filterAttack: 0.1, filterSustain: 0.4, portamento: 0.12, volume: -6 }
+  }
+};
+
+const SOUND_SECTIONS = ["chord", "lead", "reverb"];
+
+let userSoundPresets = {};
+
+function getSoundParams(section) {
+  if (section === "reverb") return REVERB_SOUND_PARAMS;
+  // Sampled chords only follow the volume
+  if (section === "chord" && SAMPLE_SETS[appState.chordEngine]) {
+    return VOICE_SOUND_PARAMS.filter(param => param.key === "volume");
+  }
+  return VOICE_SOUND_PARAMS.filter(param => !param.voices || param.voices.includes(section));
+}
+
+// DEFAULT_SOUND overlaid with a (possibly partial or outdated) sound: unknown keys are dropped
+function mergeSound(sound) {
+  const merged = {};
+  SOUND_SECTIONS.forEach(section => {
+    merged[section] = { ...DEFAULT_SOUND[section] };
+    const overrides = (sound && sound[section]) || {};
+    Object.keys(merged[section]).forEach(key => {
+      if (typeof overrides[key] === typeof merged[section][key]) merged[section][key] = overrides[key];
+    });
+  });
+  return merged;
+}
+
+// Every set of synths currently making sound: the live voices and the looper's
+function getAudioGraphs() {
+  const graphs = [];
+  if (appState.audioGraph) graphs.push(appState.audioGraph);
+  if (looper.graph) graphs.push(looper.graph);
+  return graphs;
+}
+
+function applySoundSection(section, { regenerate = true } = {}) {
+  const params = appState.sound[section];
+  getAudioGraphs().forEach(graph => {
+    if (section === "reverb") {
+      if (regenerate && graph.reverb.decay !== params.decay) graph.reverb.decay = params.decay;
+      graph.reverb.wet.value = params.wet;
+    } else if (section === "lead") {
+      graph.leadVoices.forEach(leadVoice => leadVoice.set(getVoiceOptions(params)));
+    } else {
+      // The bass follows the chord sound when it plays on a copy of the chord instrument
+      const instruments = appState.mixer.bassSource === "synth" ? [graph.synth] : [graph.synth, graph.bass];
+      instruments.forEach(instrument => {
+        if (SAMPLE_SETS[appState.chordEngine]) instrument.volume.value = params.volume;
+        else instrument.set(getVoiceOptions(params));
+      });
+    }
+  });
+}
+
+function applySound(sound) {
+  appState.sound = mergeSound(sound);
+  SOUND_SECTIONS.forEach(section => applySoundSection(section));
+  saveStored("sound", appState.sound);
+  renderSoundEditor();
+}
+
+function sliderToValue(param, position) {
+  if (!param.log) return parseFloat(position);
+  const value = param.min * Math.pow(param.max / param.min, position / LOG_SLIDER_STEPS);
+  return parseFloat(value.toPrecision(3));
+}
+
+function valueToSlider(param, value) {
+  if (!param.log) return value;
+  return Math.round((Math.log(value / param.min) / Math.log(param.max / param.min)) * LOG_SLIDER_STEPS);
+}
+
+function formatSoundValue(param, value) {
+  if (param.options) return value;
+  const text = Math.abs(value) >= 100 ? Math.round(value) : parseFloat(value.toFixed(2));
+  return param.unit ? `${text} ${param.unit}` : String(text);
+}
+
+// One editor row for a param table entry: select (options), checkbox (toggle) or slider.
+// onUpdate(value, isFinal) runs while dragging and once more when the control is let go.
+function createParamRow(param, value, onUpdate) {
+  const row = document.createElement("label");
+  row.className = "settings-row sound-param";
+  const label = document.createElement("span");
+  label.textContent = param.label;
+
+  let input;
+  if (param.options) {
+    input = document.createElement("select");
+    param.options.forEach(option => input.add(new Option(option, option)));
+    input.value = value;
+  } else if (param.toggle) {
+    input = document.createElement("input");
+    input.type = "checkbox";
+    input.checked = value;
+  } else {
+    input = document.createElement("input");
+    input.type = "range";
+    input.min = param.log ? 0 : param.min;
+    input.max = param.log ? LOG_SLIDER_STEPS : param.max;
+    input.step = param.log ? 1 : param.step;
+    input.value = valueToSlider(param, value);
+  }
+
+  const output = document.createElement("output");
+  output.textContent = param.toggle ? "" : formatSoundValue(param, value);
+
+  const update = (isFinal) => {
+    let newValue = input.value;
+    if (param.toggle) newValue = input.checked;
+    else if (!param.options) newValue = sliderToValue(param, input.value);
+    if (!param.toggle) output.textContent = formatSoundValue(param, newValue);
+    onUpdate(newValue, isFinal);
+  };
+  if (!param.toggle && !param.options) input.addEventListener("input", () => update(false));
+  input.addEventListener("change", () => update(true));
+
+  row.append(label, input, output);
+  return row;
+}
+
+function createSoundParamRow(section, param) {
+  return createParamRow(param, appState.sound[section][param.key], (value, isFinal) => {
+    appState.sound[section][param.key] = value;
+    applySoundSection(section, { regenerate: isFinal || !param.onRelease });
+    if (isFinal) {
+      saveStored("sound", appState.sound);
+      renderSoundPresetList();
+    }
+  });
+}
+
+function renderSoundEditor() {
+  SOUND_SECTIONS.forEach(section => {
+    const container = document.getElementById(`sound-${section}-params`);
+    container.innerHTML = "";
+    getSoundParams(section).forEach(param => container.appendChild(createSoundParamRow(section, param)));
+  });
+}
+
+function renderSoundPresetList(selected = "") {
+  const select = document.getElementById("sound-preset");
+  select.innerHTML = "";
+  select.add(new Option("Custom", ""));
+  const addGroup = (label, names, prefix) => {
+    if (names.length === 0) return;
+    const group = document.createElement("optgroup");
+    group.label = label;
+    names.forEach(name => group.appendChild(new Option(name, `${prefix}:${name}`)));
+    select.appendChild(group);
+  };
+  addGroup("Built-in", Object.keys(BUILT_IN_SOUND_PRESETS), "builtin");
+  addGroup("Saved", Object.keys(userSoundPresets).sort(), "user");
+  select.value = selected;
+  document.getElementById("sound-preset-delete").disabled = !selected.startsWith("user:");
+}
+
+function saveSoundPreset() {
+  const nameInput = document.getElementById("sound-preset-name");
+  const name = nameInput.value.trim();
+  if (!name) {
+    nameInput.focus();
+    return;
+  }
+  // A copy: later edits to the live sound mustn't change the saved preset
+  userSoundPresets = { ...userSoundPresets, [name]: mergeSound(appState.sound) };
+  saveStored("soundPresets", userSoundPresets);
+  nameInput.value = "";
+  renderSoundPresetList(`user:${name}`);
+}
+
+function deleteSoundPreset() {
+  const selected = document.getElementById("sound-preset").value;
+  if (!selected.startsWith("user:")) return;
+  const { [selected.slice(5)]: _removed, ...rest } = userSoundPresets;
+  userSoundPresets = rest;
+  saveStored("soundPresets", userSoundPresets);
+  renderSoundPresetList();
+}
+
+let chordEngineLoadId = 0;
+
+function setChordEngineLoading(engine) {
+  appState.chordEngineLoading = engine !== null;
+  const indicator = document.getElementById("loading-indicator");
+  indicator.hidden = engine === null;
+  indicator.textContent = engine ? `Loading ${SAMPLE_SETS[engine].label.toLowerCase()} samples…` : "";
+  updateInteractionState();
+}
+
+// Load callbacks for a chord instrument: block play while samples decode, fall back to
+// the synth if they can't be fetched. A newer load makes older callbacks no-ops.
+function getChordEngineCallbacks(engine, onReady = () => {}) {
+  const loadId = ++chordEngineLoadId;
+  if (SAMPLE_SETS[engine]) setChordEngineLoading(engine);
+  return {
+    onload: () => {
+      if (loadId !== chordEngineLoadId) return;
+      setChordEngineLoading(null);
+      onReady();
+    },
+    onerror: (err) => {
+      if (loadId !== chordEngineLoadId) return;
+      console.error(`Could not load ${engine} samples:`, err);
+      setChordEngineLoading(null);
+      alert(`Could not load the ${SAMPLE_SETS[engine].label.toLowerCase()} samples. Switching back to the synth.`);
+      setChordEngine("synth");
+    }
+  };
+}
+
+function replaceInstrument(oldInstrument, instrument, strip) {
+  oldInstrument.releaseAll();
+  oldInstrument.dispose();
+  instrument.connect(strip.channel);
+  return instrument;
+}
+
+function replaceBassInstruments() {
+  getAudioGraphs().forEach(graph => {
+    const instrument = createBassInstrument(appState.mixer.bassSource, appState.chordEngine, appState.sound);
+    graph.bass = replaceInstrument(graph.bass, instrument, graph.strips.bass);
+  });
+}
+
+function setChordEngine(engine) {
+  appState.chordEngine = SAMPLE_SETS[engine] ? engine : "synth";
+  saveStored("chordEngine", appState.chordEngine);
+  document.getElementById("chord-engine").value = appState.chordEngine;
+  renderSoundEditor();
+  if (!appState.isAudioStarted) return; // built when the audio engine starts
+
+  // The live voice is swapped once it's ready; the looper's follows along
+  const instrument = createChordInstrument(appState.chordEngine, appState.sound.chord, getChordEngineCallbacks(appState.chordEngine, () => {
+    const graph = appState.audioGraph;
+    graph.synth = replaceInstrument(graph.synth, instrument, graph.strips.chord);
+    appState.synth = graph.synth;
+  }));
+  if (looper.graph) {
+    const loopInstrument = createChordInstrument(appState.chordEngine, appState.sound.chord);
+    looper.graph.synth = replaceInstrument(looper.graph.synth, loopInstrument, looper.graph.strips.chord);
+  }
+  if (appState.mixer.bassSource !== "synth") replaceBassInstruments();
+}
+
+function initSoundSettings() {
+  appState.sound = mergeSound(loadStored("sound", null));
+  userSoundPresets = loadStored("soundPresets", {});
+
+  const engine = loadStored("chordEngine", "synth");
+  appState.chordEngine = SAMPLE_SETS[engine] ? engine : "synth";
+  const engineSelect = document.getElementById("chord-engine");
+  engineSelect.value = appState.chordEngine;
+  engineSelect.addEventListener("change", () => setChordEngine(engineSelect.value));
+
+  const presetSelect = document.getElementById("sound-preset");
+  presetSelect.addEventListener("change", () => {
+    const [kind, ...rest] = presetSelect.value.split(":");
+    const name = rest.join(":");
+    if (kind === "builtin") applySound(BUILT_IN_SOUND_PRESETS[name]);
+    else if (kind === "user") applySound(userSoundPresets[name]);
+    renderSoundPresetList(presetSelect.value);
+  });
+  document.getElementById("sound-preset-save").addEventListener("click", saveSoundPreset);
+  document.getElementById("sound-preset-delete").addEventListener("click", deleteSoundPreset);
+
+  renderSoundPresetList();
+  renderSoundEditor();
+}
+
+// -------------------------------------------------------------------
+// Mixer & Effects
+// -------------------------------------------------------------------
+// One strip per voice (volume, pan, mute, effects send). The effects bus runs the
+// enabled effects in series, each mixing its own dry and wet, and feeds the master.
+// The send is the strip's dry/wet control: that much of the strip goes through the bus,
+// the rest straight to the master, so at 1 the whole strip is filtered, delayed, etc.
+const MIXER_STRIPS = ["chord", "bass", "lead"];
+const MIXER_STRIP_LABELS = { chord: "Chords", bass: "Bass", lead: "Theremin" };
+const FX_ORDER = ["delay", "chorus", "distortion", "filter", "reverb"];
+const FX_LABELS = { delay: "Delay", chorus: "Chorus", distortion: "Distortion", filter: "Filter", reverb: "Reverb" };
+
+const DEFAULT_MIXER = {
+  strips: {
+    chord: { volume: 0, pan: 0, mute: false, send: 1 },
+    bass: { volume: 0, pan: 0, mute: false, send: 0.3 },
+    lead: { volume: 0, pan: 0, mute: false, send: 1 }
+  },
+  bassSource: "chord", // "chord" = a copy of the chord instrument, "synth" = BASS_SYNTH_OPTIONS
+  fx: {
+    delay: { enabled: false, time: 0.25, feedback: 0.3, wet: 0.3 },
+    chorus: { enabled: false, frequency: 1.5, depth: 0.7, wet: 0.5 },
+    distortion: { enabled: false, amount: 0.4, wet: 0.5 },
+    filter: { enabled: false, type: "lowpass", frequency: 2000, Q: 1 },
+    reverb: { enabled: true } // size and wet are part of the sound (see REVERB_SOUND_PARAMS)
+  }
+};
+
+const MIXER_STRIP_PARAMS = [
+  { key: "volume", label: "Volume", min: -40, max: 6, step: 1, unit: "dB" },
+  { key: "pan", label: "Pan", min: -1, max: 1, step: 0.05 },
+  { key: "send", label: "Effects send (dry/wet)", min: 0, max: 1, step: 0.01 },
+  { key: "mute", label: "Mute", toggle: true }
+];
+
+const FX_PARAMS = {
+  delay: [
+    { key: "time", label: "Time", min: 0.02, max: 1, log: true, unit: "s" },
+    { key: "feedback", label: "Feedback", min: 0, max: 0.95, step: 0.01 },
+    { key: "wet", label: "Wet", min: 0, max: 1, step: 0.01 }
+  ],
+  chorus: [
+    { key: "frequency", label: "Rate", min: 0.1, max: 8, log: true, unit: "Hz" },
+    { key: "depth", label: "Depth", min: 0, max: 1, step: 0.01 },
+    { key: "wet", label: "Wet", min: 0, max: 1, step: 0.01 }
+  ],
+  distortion: [
+    { key: "amount", label: "Drive", min: 0, max: 1, step: 0.01 },
+    { key: "wet", label: "Wet", min: 0, max: 1, step: 0.01 }
+  ],
+  filter: [
+    { key: "type", label: "Type", options: ["lowpass", "highpass", "bandpass"] },
+    { key: "frequency", label: "Cutoff", min: 40, max: 20000, log: true, unit: "Hz" },
+    { key: "Q", label: "Resonance", min: 0.1, max: 20, step: 0.1 }
+  ],
+  reverb: []
+};
+
+// DEFAULT_MIXER overlaid with a stored mixer: unknown keys and mismatched types are dropped
+function mergeMixer(stored) {
+  const pick = (defaults, overrides = {}) => {
+    const merged = { ...defaults };
+    Object.keys(defaults).forEach(key => {
+      if (typeof overrides[key] === typeof defaults[key]) merged[key] = overrides[key];
+    });
+    return merged;
+  };
+  const source = stored || {};
+  return {
+    strips: Object.fromEntries(MIXER_STRIPS.map(name => [name, pick(DEFAULT_MIXER.strips[name], source.strips && source.strips[name])])),
+    bassSource: source.bassSource === "synth" ? "synth" : "chord",
+    fx: Object.fromEntries(FX_ORDER.map(name => [name, pick(DEFAULT_MIXER.fx[name], source.fx && source.fx[name])]))
+  };
+}
+
+function createMixerStrip(params, fxInput) {
+  const channel = new Tone.Channel({ volume: params.volume, pan: params.pan, mute: params.mute });
+  const send = new Tone.Gain(params.send).connect(fxInput);
+  const dry = new Tone.Gain(1 - params.send).toDestination();
+  channel.fan(send, dry);
+  return { channel, send, dry };
+}
+
+function createEffects(reverbSound, fxSettings) {
+  const { delay, chorus, distortion, filter } = fxSettings;
+  const reverb = new Tone.Reverb(reverbSound.decay);
+  reverb.wet.value = reverbSound.wet;
+  return {
+    input: new Tone.Gain(1),
+    delay: new Tone.FeedbackDelay({ delayTime: delay.time, feedback: delay.feedback, wet: delay.wet }),
+    chorus: new Tone.Chorus({ frequency: chorus.frequency, depth: chorus.depth, wet: chorus.wet }).start(),
+    distortion: new Tone.Distortion({ distortion: distortion.amount, wet: distortion.wet }),
+    filter: new Tone.Filter({ type: filter.type, frequency: filter.frequency, Q: filter.Q }),
+    reverb
+  };
+}
+
+// (Re)wire the bus through the enabled effects, in FX_ORDER; with none enabled the bus
+// passes the sends through untouched
+function connectEffectsChain(graph, fxSettings = appState.mixer.fx) {
+  const { fx } = graph;
+  fx.input.disconnect();
+  FX_ORDER.forEach(name => fx[name].disconnect());
+  const enabled = FX_ORDER.filter(name => fxSettings[name].enabled);
+  const chain = [fx.input, ...enabled.map(name => fx[name])];
+  // connect() hands back the node it's called on, so chain() to wire them in series
+  fx.input.chain(...chain.slice(1));
+  chain[chain.length - 1].toDestination();
+}
+
+function applyMixerStrip(name) {
+  const params = appState.mixer.strips[name];
+  getAudioGraphs().forEach(graph => {
+    const { channel, send, dry } = graph.strips[name];
+    channel.volume.value = params.volume;
+    channel.pan.value = params.pan;
+    channel.mute = params.mute;
+    send.gain.value = params.send;
+    dry.gain.value = 1 - params.send;
+  });
+}
+
+function applyEffect(name) {
+  const params = appState.mixer.fx[name];
+  getAudioGraphs().forEach(graph => {
+    const effect = graph.fx[name];
+    switch (name) {
+      case "delay":
+        effect.delayTime.value = params.time;
+        effect.feedback.value = params.feedback;
+        effect.wet.value = params.wet;
+        break;
+      case "chorus":
+        effect.frequency.value = params.frequency;
+        effect.depth = params.depth;
+        effect.wet.value = params.wet;
+        break;
+      case "distortion":
+        effect.distortion = params.amount;
+        effect.wet.value = params.wet;
+        break;
+      case "filter":
+        effect.type = params.type;
+        effect.frequency.value = params.frequency;
+        effect.Q.value = params.Q;
+        break;
+    }
+    connectEffectsChain(graph);
+  });
+}
+
+function saveMixerSettings() {
+  saveStored("mixer", appState.mixer);
+}
+
+function renderMixer() {
+  const stripsEl = document.getElementById("mixer-strips");
+  stripsEl.innerHTML = "";
+  MIXER_STRIPS.forEach(name => {
+    const heading = document.createElement("h4");
+    heading.textContent = MIXER_STRIP_LABELS[name];
+    stripsEl.appendChild(heading);
+    MIXER_STRIP_PARAMS.forEach(param => {
+      stripsEl.appendChild(createParamRow(param, appState.mixer.strips[name][param.key], (value, isFinal) => {
+        appState.mixer.strips[name][param.key] = value;
+        applyMixerStrip(name);
+        if (isFinal) saveMixerSettings();
+      }));
+    });
+  });
+
+  const fxEl = document.getElementById("mixer-effects");
+  fxEl.innerHTML = "";
+  FX_ORDER.forEach(name => {
+    const block = document.createElement("div");
+    block.className = "fx-block";
+    const toggle = { key: "enabled", label: FX_LABELS[name], toggle: true };
+    const toggleRow = createParamRow(toggle, appState.mixer.fx[name].enabled, (value) => {
+      appState.mixer.fx[name].enabled = value;
+      applyEffect(name);
+      saveMixerSettings();
+      block.classList.toggle("fx-off", !value);
+    });
+    toggleRow.classList.add("fx-toggle");
+    block.appendChild(toggleRow);
+    block.classList.toggle("fx-off", !appState.mixer.fx[name].enabled);
+
+    FX_PARAMS[name].forEach(param => {
+      block.appendChild(createParamRow(param, appState.mixer.fx[name][param.key], (value, isFinal) => {
+        appState.mixer.fx[name][param.key] = value;
+        applyEffect(name);
+        if (isFinal) saveMixerSettings();
+      }));
+    });
+    // Reverb size/wet belong to the sound (and its presets)
+    if (name === "reverb") {
+      const reverbParams = document.createElement("div");
+      reverbParams.id = "sound-reverb-params";
+      block.appendChild(reverbParams);
+    }
+    fxEl.appendChild(block);
+  });
+}
+
+function initMixerSettings() {
+  appState.mixer = mergeMixer(loadStored("mixer", null));
+
+  const bassSourceEl = document.getElementById("bass-source");
+  bassSourceEl.value = appState.mixer.bassSource;
+  bassSourceEl.addEventListener("change", () => {
+    appState.mixer.bassSource = bassSourceEl.value;
+    saveMixerSettings();
+    replaceBassInstruments();
+  });
+
+  document.getElementById("mixer-reset").addEventListener("click", () => {
+    const bassSourceChanged = appState.mixer.bassSource !== DEFAULT_MIXER.bassSource;
+    appState.mixer = mergeMixer(null);
+    bassSourceEl.value = appState.mixer.bassSource;
+    MIXER_STRIPS.forEach(applyMixerStrip);
+    FX_ORDER.forEach(applyEffect);
+    if (bassSourceChanged) replaceBassInstruments();
+    saveMixerSettings();
+    renderMixer();
+    renderSoundEditor();
+  });
+
+  renderMixer();
+}
+
 // Initialize Layout Default (Tonnetz first) and Tonnetz board
 window.addEventListener("load", () => {
   updateLayoutUI("tonnetz");
   currentLayoutIndex = 0;
   initTonnetzBoard();
+  updateDegreeLabels();
+  initMidiOutputSettings();
+  initMidiInputSettings();
+  initGamepadSettings();
+  initKeymapSettings();
+  initSessionRecording();
+  initLooper();
+  initMixerSettings();
+  initVoiceLeadingSettings();
+  initThereminSettings();
+  initTiltCalibration();
+  initCameraTheremin();
+  initSoundSettings();
 
   const hasMotion = typeof DeviceOrientationEvent !== 'undefined' || typeof DeviceMotionEvent !== 'undefined';
   const hasTouch = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
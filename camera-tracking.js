@@ -0,0 +1,92 @@
+import { Human } from "bg-human";
+
+// -------------------------------------------------------------------
+// Camera Hand Tracking
+// -------------------------------------------------------------------
+// Finds hands in webcam frames with a hand-landmark model: Human's HandTrack detector
+// boxes each hand, then MediaPipe's hand landmark model places its 21 joints. Both
+// models and the WebAssembly backend that runs them are served from vendor/human/
+// (see LICENSE.md there), so nothing is downloaded from elsewhere and no frame leaves
+// the browser. The palm's height plays; the hands are told apart by which half of the
+// (mirrored) picture they're in, so the player can stand anywhere in view.
+// No page access here: app.js passes in the <video> and plays the results.
+const HAND_DETECTOR_CONFIG = {
+  backend: "wasm",
+  debug: false,
+  face: { enabled: false },
+  body: { enabled: false },
+  gesture: { enabled: false },
+  hand: {
+    enabled: true,
+    maxDetected: 2,
+    minConfidence: 0.1, // boxes only; findHandHeights judges the hands by their landmarks
+    detector: { modelPath: "handtrack.json" },
+    skeleton: { modelPath: "handlandmark-lite.json" }
+  }
+};
+// Landmarks of the wrist and the four knuckles, whose middle is the palm
+const PALM_LANDMARKS = [0, 5, 9, 13, 17];
+const CAMERA_LOST_FRAMES = 8; // frames without the pitch hand before the note stops
+const CAMERA_HEIGHT_MARGIN = 0.1; // top/bottom of the picture left out of the pitch range
+
+// Loads the models and the WebAssembly backend from baseUrl (the folder URL, ending in "/")
+// -> Promise of detect(input): Promise of the hands found in a <video>, image or tensor,
+// each { fingerScore, keypoints: [[x, y, z], ...] (in its pixels), ... } as Human has them
+export async function createHandDetector(baseUrl) {
+  const human = new Human({ ...HAND_DETECTOR_CONFIG, modelBasePath: baseUrl, wasmPath: baseUrl });
+  await human.load();
+  // Human only logs the models it couldn't load; its stats tell them apart
+  const unloaded = human.models.stats().modelStats.filter(model => !model.loaded);
+  if (human.tf.getBackend() !== "wasm" || unloaded.length > 0) {
+    throw new Error(`The hand model didn't load from ${baseUrl} (see the console)`);
+  }
+  return input => human.detect(input).then(result => result.hand);
+}
+
+// State of one camera run: how long the pitch hand's been gone
+export function createCameraTracker() {
+  return { lostFrames: 0 };
+}
+
+// -> { left, right }: the palm height of the highest hand on each side of the mirrored
+// picture, 0 (bottom) to 1 (top), or null where no hand has a landmark score (the model's
+// confidence that it placed the joints on a hand) of at least minScore. The detector's own
+// box score is no use here: it drops to 0.2 on a hand turning edge-on, and it boxes faces.
+// width, height: the size of the frame the hands were found in
+export function findHandHeights(hands, width, height, minScore) {
+  const heights = { left: null, right: null };
+  hands.forEach(hand => {
+    if (hand.fingerScore < minScore) return;
+    const [x, y] = getPalmCentre(hand.keypoints);
+    // The camera sees the player the other way round from the mirrored preview
+    const side = x > width / 2 ? "left" : "right";
+    const palmHeight = 1 - y / height;
+    if (heights[side] === null || palmHeight > heights[side]) heights[side] = palmHeight;
+  });
+  return heights;
+}
+
+// -> [x, y]: the middle of the wrist and knuckles
+function getPalmCentre(keypoints) {
+  const palm = PALM_LANDMARKS.map(i => keypoints[i]);
+  return [0, 1].map(axis => palm.reduce((sum, point) => sum + point[axis], 0) / palm.length);
+}
+
+// Plays the hand heights found in one frame through the output:
+// output.play(normalized) with the pitch hand's height over the pitch range (0-1),
+// output.stop() once it's been gone for CAMERA_LOST_FRAMES frames in a row, and
+// output.express(height) with the other hand's height
+export function playCameraHands(tracker, { left, right }, pitchHand, output) {
+  const pitchHeight = pitchHand === "right" ? right : left;
+  const otherHeight = pitchHand === "right" ? left : right;
+
+  if (otherHeight !== null) output.express(otherHeight);
+
+  if (pitchHeight === null) {
+    if (++tracker.lostFrames >= CAMERA_LOST_FRAMES) output.stop();
+    return;
+  }
+  tracker.lostFrames = 0;
+  const span = 1 - 2 * CAMERA_HEIGHT_MARGIN;
+  output.play(Math.max(0, Math.min(1, (pitchHeight - CAMERA_HEIGHT_MARGIN) / span)));
+}
@@ -0,0 +1,152 @@
+import { Note } from "bg-tonal";
+
+// -------------------------------------------------------------------
+// MIDI Output
+// -------------------------------------------------------------------
+// Turns the performance events (see Voice Output in app.js) into MIDI messages: chord
+// and bass notes on the chord channel, the theremin as note + pitch bend on a channel
+// per lead voice (or MPE member channels). The messages go to whatever `send` is given,
+// a Web MIDI port live or a track of the MIDI file export.
+export const MIDI_NOTE_OFF = 0x80;
+export const MIDI_NOTE_ON = 0x90;
+export const MIDI_CONTROL_CHANGE = 0xB0;
+export const MIDI_PITCH_BEND = 0xE0;
+export const MIDI_VELOCITY = 100;
+const MIDI_CC_ALL_NOTES_OFF = 123;
+
+// MPE lower zone: master channel 1, the lead plays on member channel 2 (and up, one per voice)
+const MPE_MASTER_CHANNEL = 1;
+const MPE_LEAD_CHANNEL = 2;
+const MPE_BEND_RANGE = 48;
+
+export function freqToMidi(freq) {
+  return 69 + 12 * Math.log2(freq / 440);
+}
+
+// Turns the theremin's continuous glide into note + pitch bend messages.
+// A new note is only struck when the glide moves out of the bend range.
+export function createLeadMidiTracker(send, channel, bendRange) {
+  const ch = channel - 1;
+  let currentNote = null;
+
+  const bend = (semitones) => {
+    const value = Math.max(0, Math.min(16383, Math.round(8192 + (semitones / bendRange) * 8192)));
+    send([MIDI_PITCH_BEND | ch, value & 0x7f, value >> 7]);
+  };
+  const nearestNote = (exact) => Math.max(0, Math.min(127, Math.round(exact)));
+
+  return {
+    attack(freq) {
+      if (currentNote !== null) this.release();
+      const exact = freqToMidi(freq);
+      currentNote = nearestNote(exact);
+      bend(exact - currentNote);
+      send([MIDI_NOTE_ON | ch, currentNote, MIDI_VELOCITY]);
+    },
+    glide(freq) {
+      if (currentNote === null) return;
+      const exact = freqToMidi(freq);
+      if (Math.abs(exact - currentNote) <= bendRange) {
+        bend(exact - currentNote);
+        return;
+      }
+      // Out of bend reach: strike the nearest note, then let go of the old one (legato)
+      const previousNote = currentNote;
+      currentNote = nearestNote(exact);
+      bend(exact - currentNote);
+      send([MIDI_NOTE_ON | ch, currentNote, MIDI_VELOCITY]);
+      send([MIDI_NOTE_OFF | ch, previousNote, 0]);
+    },
+    release() {
+      if (currentNote === null) return;
+      send([MIDI_NOTE_OFF | ch, currentNote, 0]);
+      bend(0);
+      currentNote = null;
+    }
+  };
+}
+
+// The channel the lead voices start from, as the settings show it
+export function getFirstLeadMidiChannel(settings) {
+  return settings.leadMode === "mpe" ? MPE_LEAD_CHANNEL : settings.leadChannel;
+}
+
+// Polyphonic lead voices go out on consecutive channels, each with its own pitch bend,
+// from the first lead channel up, stepping over the chord channel.
+// settings: the MIDI output settings (appState.midiOutput in app.js)
+// -> one channel per voice, or fewer when the channels run out before channel 16
+export function getLeadMidiChannels(settings, voiceCount) {
+  const channels = [];
+  for (let channel = getFirstLeadMidiChannel(settings); channel <= 16 && channels.length < voiceCount; channel++) {
+    if (channel !== settings.chordChannel) channels.push(channel);
+  }
+  return channels;
+}
+
+export function getLeadBendRange(settings) {
+  return settings.leadMode === "mpe" ? MPE_BEND_RANGE : settings.bendRange;
+}
+
+// Registered Parameter Number (e.g. RPN 0 = pitch bend range, RPN 6 = MPE configuration)
+export function getMidiRpnMessages(channel, rpn, value) {
+  const status = MIDI_CONTROL_CHANGE | (channel - 1);
+  return [[101, 0], [100, rpn], [6, value], [38, 0], [101, 127], [100, 127]].map(([cc, v]) => [status, cc, v]);
+}
+
+// Live output for one set of settings and lead voice count; rebuild it when they change.
+// -> { leadChannels, configure(), play(event), release(), panic() }
+export function createPerformanceMidiOutput(send, settings, voiceCount) {
+  const bendRange = getLeadBendRange(settings);
+  // Voices left without a channel play locally only (see getLeadMidiChannels)
+  const leadChannels = getLeadMidiChannels(settings, voiceCount);
+  const trackers = leadChannels.map(channel => createLeadMidiTracker(send, channel, bendRange));
+
+  return {
+    leadChannels,
+    // Tell the receiving synth how to interpret the lead channels
+    configure() {
+      if (settings.leadMode === "mpe" && leadChannels.length > 0) {
+        // MPE Configuration Message: the zone reaches up to the last lead channel
+        const memberChannels = leadChannels[leadChannels.length - 1] - MPE_MASTER_CHANNEL;
+        getMidiRpnMessages(MPE_MASTER_CHANNEL, 6, memberChannels).forEach(send);
+      }
+      leadChannels.forEach(channel => getMidiRpnMessages(channel, 0, bendRange).forEach(send));
+    },
+    play(event) {
+      if (event.voice === "chord" || event.voice === "bass") {
+        const isAttack = event.type === "attack";
+        const status = (isAttack ? MIDI_NOTE_ON : MIDI_NOTE_OFF) | (settings.chordChannel - 1);
+        event.notes.forEach(n => {
+          const midi = Note.midi(n);
+          if (midi !== null) send([status, midi, isAttack ? MIDI_VELOCITY : 0]);
+        });
+      } else if (event.voice === "lead" && trackers[event.index]) {
+        trackers[event.index][event.type](event.freq);
+      }
+    },
+    release() {
+      trackers.forEach(tracker => tracker.release());
+    },
+    // Silence anything left ringing on these channels
+    panic() {
+      this.release();
+      [settings.chordChannel, ...leadChannels].forEach(channel => {
+        send([MIDI_CONTROL_CHANGE | (channel - 1), MIDI_CC_ALL_NOTES_OFF, 0]);
+      });
+    }
+  };
+}
+
+// -> Promise of { access, problem }: the MIDIAccess, or null access with problem "missing"
+// (no Web MIDI in this browser) or "denied" (refused by the user or browser, see error)
+export function requestMidiAccess(nav) {
+  if (!nav || typeof nav.requestMIDIAccess !== "function") {
+    return Promise.resolve({ access: null, problem: "missing", error: null });
+  }
+  return Promise.resolve()
+    .then(() => nav.requestMIDIAccess())
+    .then(
+      access => ({ access, problem: null, error: null }),
+      error => ({ access: null, problem: "denied", error })
+    );
+}
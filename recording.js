@@ -0,0 +1,207 @@
+import { Note, Scale } from "bg-tonal";
+import * as Tone from "bg-tone";
+import {
+  MIDI_NOTE_OFF,
+  MIDI_NOTE_ON,
+  MIDI_VELOCITY,
+  createLeadMidiTracker,
+  getLeadBendRange,
+  getLeadMidiChannels,
+  getMidiRpnMessages
+} from "./midi-output.js";
+
+// -------------------------------------------------------------------
+// Recording Export
+// -------------------------------------------------------------------
+// Turns a session recording (see Session Recording in app.js) into files: a format 1
+// MIDI file (tempo/key track, chords track, a theremin track per lead voice), a WAV of
+// an AudioBuffer, or a sample-accurate offline render of the events.
+// A recording is { startTime, endTime, root, scaleType, events }, each event a
+// performance event (see Voice Output in app.js) plus its time in ms since "Rec".
+// No page access here: app.js passes in the MIDI settings and the audio graph factory.
+const SMF_PPQ = 480;
+const SMF_BPM = 120; // nominal tempo: recordings are free time, so ticks are just milliseconds
+const SMF_META_TRACK_NAME = 0x03;
+const SMF_META_END_OF_TRACK = 0x2F;
+const SMF_META_TEMPO = 0x51;
+const SMF_META_TIME_SIGNATURE = 0x58;
+const SMF_META_KEY_SIGNATURE = 0x59;
+const MINOR_KEY_SCALES = ["minor", "harmonic minor", "melodic minor"];
+
+const WAV_BITS_PER_SAMPLE = 16;
+const OFFLINE_RENDER_TAIL = 2; // seconds after the last event, for release and reverb tails
+
+function msToTicks(ms) {
+  return Math.round((ms / 60000) * SMF_BPM * SMF_PPQ);
+}
+
+function encodeVarLen(value) {
+  const bytes = [value & 0x7f];
+  while ((value >>= 7) > 0) bytes.unshift((value & 0x7f) | 0x80);
+  return bytes;
+}
+
+function encodeText(text) {
+  return Array.from(new TextEncoder().encode(text));
+}
+
+function metaEvent(type, data) {
+  return [0xFF, type, ...encodeVarLen(data.length), ...data];
+}
+
+// Key signature for the recorded key: sharps (+) / flats (-) of the key, minor flag for minor scales.
+// Modes take the signature of their own notes (D dorian = no sharps or flats).
+function getKeySignature(root, scaleType) {
+  const isMinor = MINOR_KEY_SCALES.includes(scaleType);
+  const notes = Scale.get(`${root} ${isMinor ? "minor" : scaleType}`).notes;
+  const alteration = notes.reduce((sum, n) => sum + Note.get(n).alt, 0);
+  return { sharpsFlats: Math.max(-7, Math.min(7, alteration)), isMinor };
+}
+
+// Track chunk from [{ tick, data }] (stable-sorted so events at the same tick keep their order)
+function encodeTrack(events) {
+  const sorted = events.map((e, i) => ({ ...e, i })).sort((a, b) => a.tick - b.tick || a.i - b.i);
+  const bytes = [];
+  let lastTick = 0;
+  sorted.forEach(({ tick, data }) => {
+    bytes.push(...encodeVarLen(tick - lastTick), ...data);
+    lastTick = tick;
+  });
+  bytes.push(0, ...metaEvent(SMF_META_END_OF_TRACK, []));
+  const length = bytes.length;
+  return [0x4D, 0x54, 0x72, 0x6B, (length >>> 24) & 0xff, (length >>> 16) & 0xff, (length >>> 8) & 0xff, length & 0xff, ...bytes];
+}
+
+function buildConductorTrack(recording) {
+  const microsPerBeat = Math.round(60000000 / SMF_BPM);
+  const { sharpsFlats, isMinor } = getKeySignature(recording.root, recording.scaleType);
+  return [
+    { tick: 0, data: metaEvent(SMF_META_TRACK_NAME, encodeText("therochord")) },
+    { tick: 0, data: metaEvent(SMF_META_TEMPO, [(microsPerBeat >> 16) & 0xff, (microsPerBeat >> 8) & 0xff, microsPerBeat & 0xff]) },
+    { tick: 0, data: metaEvent(SMF_META_TIME_SIGNATURE, [4, 2, 24, 8]) },
+    { tick: 0, data: metaEvent(SMF_META_KEY_SIGNATURE, [sharpsFlats & 0xff, isMinor ? 1 : 0]) }
+  ];
+}
+
+function buildChordTrack(recording, channel) {
+  const ch = channel - 1;
+  const events = [{ tick: 0, data: metaEvent(SMF_META_TRACK_NAME, encodeText("Chords")) }];
+  const heldNotes = new Set();
+  const noteOff = (tick, midi) => {
+    events.push({ tick, data: [MIDI_NOTE_OFF | ch, midi, 0] });
+    heldNotes.delete(midi);
+  };
+
+  recording.events.filter(e => e.voice === "chord" || e.voice === "bass").forEach(e => {
+    const tick = msToTicks(e.time);
+    e.notes.map(n => Note.midi(n)).filter(midi => midi !== null).forEach(midi => {
+      if (e.type === "attack") {
+        if (heldNotes.has(midi)) noteOff(tick, midi);
+        events.push({ tick, data: [MIDI_NOTE_ON | ch, midi, MIDI_VELOCITY] });
+        heldNotes.add(midi);
+      } else if (heldNotes.has(midi)) {
+        noteOff(tick, midi);
+      }
+    });
+  });
+
+  // Anything still held when recording stopped ends with the recording
+  const endTick = msToTicks(recording.endTime - recording.startTime);
+  [...heldNotes].forEach(midi => noteOff(endTick, midi));
+  return events;
+}
+
+// The theremin's pitch curve becomes note + pitch bend, exactly as on the live MIDI output.
+// One track per lead voice (polyphonic theremin), each on its own channel.
+function buildLeadTrack(recording, channel, bendRange, index = 0) {
+  const name = index === 0 ? "Theremin" : `Theremin ${index + 1}`;
+  const events = [{ tick: 0, data: metaEvent(SMF_META_TRACK_NAME, encodeText(name)) }];
+  let tick = 0;
+  const tracker = createLeadMidiTracker(data => events.push({ tick, data }), channel, bendRange);
+  getMidiRpnMessages(channel, 0, bendRange).forEach(data => events.push({ tick, data }));
+
+  recording.events.filter(e => e.voice === "lead" && (e.index || 0) === index).forEach(e => {
+    tick = msToTicks(e.time);
+    tracker[e.type](e.freq);
+  });
+  tick = msToTicks(recording.endTime - recording.startTime);
+  tracker.release();
+  return events;
+}
+
+// Lead voices get the same channels as on the live output; one without a channel is left out.
+// settings: the MIDI output settings (appState.midiOutput in app.js)
+export function buildMidiFile(recording, settings) {
+  const leadIndexes = recording.events.filter(e => e.voice === "lead").map(e => e.index || 0);
+  const leadChannels = getLeadMidiChannels(settings, Math.max(0, ...leadIndexes) + 1);
+  const tracks = [
+    buildConductorTrack(recording),
+    buildChordTrack(recording, settings.chordChannel),
+    ...leadChannels.map((channel, index) => buildLeadTrack(recording, channel, getLeadBendRange(settings), index))
+  ];
+  const header = [0x4D, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 1, 0, tracks.length, SMF_PPQ >> 8, SMF_PPQ & 0xff];
+  return new Uint8Array([...header, ...tracks.flatMap(encodeTrack)]);
+}
+
+// 16-bit PCM WAV from an AudioBuffer (channels interleaved)
+export function encodeWav(audioBuffer) {
+  const { numberOfChannels, sampleRate, length } = audioBuffer;
+  const bytesPerSample = WAV_BITS_PER_SAMPLE / 8;
+  const dataSize = length * numberOfChannels * bytesPerSample;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+
+  writeString(0, "RIFF");
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, "WAVE");
+  writeString(12, "fmt ");
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, numberOfChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * numberOfChannels * bytesPerSample, true);
+  view.setUint16(32, numberOfChannels * bytesPerSample, true);
+  view.setUint16(34, WAV_BITS_PER_SAMPLE, true);
+  writeString(36, "data");
+  view.setUint32(40, dataSize, true);
+
+  const channels = Array.from({ length: numberOfChannels }, (_, ch) => audioBuffer.getChannelData(ch));
+  let offset = 44;
+  for (let i = 0; i < length; i++) {
+    channels.forEach(data => {
+      const sample = Math.max(-1, Math.min(1, data[i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += bytesPerSample;
+    });
+  }
+  return new Blob([view], { type: "audio/wav" });
+}
+
+// Re-play one recorded performance event on a set of synths (see createAudioGraph in app.js)
+export function playRecordedEvent(graph, event, time) {
+  if (event.voice === "chord" || event.voice === "bass") {
+    const instrument = event.voice === "bass" ? graph.bass : graph.synth;
+    if (event.type === "attack") instrument.triggerAttack(event.notes, time);
+    else instrument.triggerRelease(event.notes, time);
+  } else if (event.voice === "lead") {
+    const leadVoice = graph.leadVoices[event.index || 0];
+    if (event.type === "attack") leadVoice.triggerAttack(event.freq, time);
+    else if (event.type === "glide") leadVoice.setNote(event.freq, time);
+    else leadVoice.triggerRelease(time);
+  }
+}
+
+// Sample-accurate bounce: schedule the recorded events on a fresh graph in an offline context.
+// createGraph() builds the graph inside it (createAudioGraph in app.js); it needs synth,
+// bass, leadVoices and reverb. Resolves to a Tone.ToneAudioBuffer.
+export async function renderRecordingOffline(recording, createGraph) {
+  const duration = (recording.endTime - recording.startTime) / 1000 + OFFLINE_RENDER_TAIL;
+  return Tone.Offline(async () => {
+    const graph = createGraph();
+    await graph.reverb.ready; // the reverb's impulse response is generated asynchronously
+    await Tone.loaded(); // and sample sets, if the chords use one
+    recording.events.forEach(event => playRecordedEvent(graph, event, event.time / 1000));
+  }, duration);
+}
@@ -0,0 +1,24 @@
+// Same names as the importmap in index.html
+const BARE_IMPORTS = {
+  "bg-tonal": "@tonaljs/tonal",
+  "bg-tone": "tone/build/esm/index.js",
+  // The page loads Human's browser bundle from vendor/human/; its node build runs the
+  // same release on the installed TensorFlow.js WebAssembly backend. Human's "exports"
+  // don't name that file in a way node accepts, hence the path.
+  "bg-human": new URL("../node_modules/@vladmandic/human/dist/human.node-wasm.js", import.meta.url).href
+};
+
+// Tonal's packages load through their ES module builds, as esm.sh serves them: their
+// "main" entries don't expose every named export (or don't exist) under node
+const TONAL_PACKAGE = /^@tonaljs\/[^/]+$/;
+
+export async function resolve(specifier, context, nextResolve) {
+  const mapped = BARE_IMPORTS[specifier] || specifier;
+  try {
+    return await nextResolve(TONAL_PACKAGE.test(mapped) ? `${mapped}/dist/index.mjs` : mapped, context);
+  } catch (err) {
+    // Tone's ES module build leaves the extension off its relative imports
+    if (err.code === "ERR_MODULE_NOT_FOUND" && mapped.startsWith(".")) return nextResolve(`${mapped}.js`, context);
+    throw err;
+  }
+}
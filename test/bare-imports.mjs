@@ -0,0 +1,5 @@
+// The page maps the "bg-*" imports to esm.sh (and vendor/) in index.html's importmap;
+// under node they resolve to the installed packages instead
+import { register } from "node:module";
+
+register("./bare-imports-hooks.mjs", import.meta.url);
@@ -0,0 +1,131 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import test from "node:test";
+import { tensor3d } from "@tensorflow/tfjs-core";
+import omggif from "omggif";
+import { createCameraTracker, createHandDetector, findHandHeights, playCameraHands } from "../camera-tracking.js";
+
+const MIN_SCORE = 0.7; // what app.js uses at the default sensitivity, 0.5
+// The clip's top rows carry an emoji of the gesture, drawn over by the demo it was
+// recorded from (see fixtures/LICENSE.md), which the detector takes for a hand
+const CLIP_TOP = 72;
+
+// Human fetches its models; node's fetch doesn't read files
+const webFetch = globalThis.fetch;
+globalThis.fetch = (url, init) => String(url).startsWith("file:")
+  ? Promise.resolve(new Response(readFileSync(new URL(url))))
+  : webFetch(url, init);
+
+// -> the clip's frames below CLIP_TOP, as RGB tensors the detector takes instead of a <video>
+function readClip() {
+  const gif = new omggif.GifReader(readFileSync(new URL("./fixtures/fingers-lq.gif", import.meta.url)));
+  const { width } = gif;
+  const height = gif.height - CLIP_TOP;
+  const rgba = new Uint8Array(gif.width * gif.height * 4);
+  const frames = [];
+  for (let i = 0; i < gif.numFrames(); i++) {
+    gif.decodeAndBlitFrameRGBA(i, rgba); // each frame only patches the one before
+    const rgb = new Uint8Array(width * height * 3);
+    for (let pixel = 0; pixel < width * height; pixel++) {
+      rgb.set(rgba.subarray((CLIP_TOP * width + pixel) * 4, (CLIP_TOP * width + pixel) * 4 + 3), pixel * 3);
+    }
+    frames.push(tensor3d(rgb, [height, width, 3]));
+  }
+  return { width, height, frames };
+}
+
+// Each frame through the model once, as app.js's trackCameraFrame does it
+const detectHands = await createHandDetector(new URL("../vendor/human/", import.meta.url).href);
+const clip = readClip();
+const clipHands = [];
+for (const frame of clip.frames) {
+  clipHands.push(findHandHeights(await detectHands(frame), clip.width, clip.height, MIN_SCORE));
+}
+
+// The clip's hands through the tracker
+// -> per frame: { hands, played: [...], expressed: [...], stopped }
+function playClip(pitchHand) {
+  const tracker = createCameraTracker();
+  return clipHands.map(hands => {
+    const result = { hands, played: [], expressed: [], stopped: false };
+    playCameraHands(tracker, hands, pitchHand, {
+      play: normalized => result.played.push(normalized),
+      express: height => result.expressed.push(height),
+      stop: () => {
+        result.stopped = true;
+      }
+    });
+    return result;
+  });
+}
+
+test("the clip is four seconds of a player's hand", () => {
+  assert.equal(clip.frames.length, 43);
+  assert.deepEqual([clip.width, clip.height], [320, 168]);
+});
+
+test("the hand is found in every frame, on the player's left in the mirrored picture", () => {
+  clipHands.forEach(({ left, right }) => {
+    assert.equal(right, null);
+    assert.notEqual(left, null);
+  });
+});
+
+test("the palm height follows the hand as it moves", () => {
+  const heights = clipHands.map(({ left }) => left);
+  // The hand stays in the middle of the cropped picture, bobbing as the gestures change
+  heights.forEach(height => assert.ok(height > 0.2 && height < 0.6, `height ${height}`));
+  assert.ok(Math.max(...heights) - Math.min(...heights) > 0.05);
+  heights.slice(1).forEach((height, i) => assert.ok(Math.abs(height - heights[i]) < 0.15));
+});
+
+test("the pitch hand plays every frame, and the other hand drives the expression", () => {
+  const left = playClip("left");
+  left.forEach(({ hands, played, expressed, stopped }) => {
+    assert.equal(played.length, 1);
+    assert.equal(played[0], Math.max(0, Math.min(1, (hands.left - 0.1) / 0.8)));
+    assert.equal(expressed.length, 0);
+    assert.equal(stopped, false);
+  });
+
+  const right = playClip("right");
+  right.forEach(({ hands, played, expressed }) => {
+    assert.equal(played.length, 0);
+    assert.deepEqual(expressed, [hands.left]);
+  });
+  assert.ok(right.slice(7).every(({ stopped }) => stopped));
+});
+
+// A hand whose wrist and knuckles all sit at (x, y)
+function handAt(x, y, fingerScore) {
+  return { fingerScore, keypoints: Array.from({ length: 21 }, () => [x, y, 0]) };
+}
+
+test("only hands the landmark model is sure of count, and the higher of two on one side wins", () => {
+  const hands = [
+    handAt(240, 60, 0.9), // the player's left
+    handAt(200, 30, 0.8), // higher, same side
+    handAt(80, 90, 0.6) // the player's right, but doubtful
+  ];
+  assert.deepEqual(findHandHeights(hands, 320, 120, 0.7), { left: 0.75, right: null });
+  assert.deepEqual(findHandHeights(hands, 320, 120, 0.5), { left: 0.75, right: 0.25 });
+});
+
+test("the palm is the middle of the wrist and knuckles", () => {
+  const hand = handAt(100, 0, 1); // fingertips up at the top
+  [0, 5, 9, 13, 17].forEach(i => {
+    hand.keypoints[i] = [100, 80 + i, 0];
+  });
+  assert.deepEqual(findHandHeights([hand], 320, 200, 0.7), { left: null, right: 1 - 88.8 / 200 });
+});
+
+test("the note stops once the pitch hand has been gone for a few frames", () => {
+  const tracker = createCameraTracker();
+  let stops = 0;
+  const output = { play: () => {}, express: () => {}, stop: () => stops++ };
+  playCameraHands(tracker, { left: null, right: 0.5 }, "right", output);
+  for (let i = 0; i < 7; i++) playCameraHands(tracker, { left: null, right: null }, "right", output);
+  assert.equal(stops, 0);
+  playCameraHands(tracker, { left: null, right: null }, "right", output);
+  assert.equal(stops, 1);
+});
@@ -0,0 +1,129 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import {
+  createLeadMidiTracker,
+  createPerformanceMidiOutput,
+  getLeadMidiChannels,
+  requestMidiAccess
+} from "../midi-output.js";
+
+const SETTINGS = { enabled: true, portId: "out", chordChannel: 1, leadChannel: 2, leadMode: "bend", bendRange: 2, localAudio: true };
+
+// A navigator whose requestMIDIAccess hands out one output port that logs what it's sent
+function mockNavigator() {
+  const sent = [];
+  const port = { id: "out", name: "Test Synth", send: message => sent.push(message) };
+  const access = { inputs: new Map(), outputs: new Map([[port.id, port]]) };
+  return { sent, navigator: { requestMIDIAccess: () => Promise.resolve(access) } };
+}
+
+async function openPort() {
+  const { sent, navigator } = mockNavigator();
+  const { access } = await requestMidiAccess(navigator);
+  const port = access.outputs.get("out");
+  return { sent, send: message => port.send(message) };
+}
+
+test("requestMidiAccess tells a missing Web MIDI from a refused one", async () => {
+  assert.deepEqual(await requestMidiAccess(null), { access: null, problem: "missing", error: null });
+  assert.deepEqual(await requestMidiAccess({}), { access: null, problem: "missing", error: null });
+
+  const refusal = new Error("SecurityError");
+  const rejected = await requestMidiAccess({ requestMIDIAccess: () => Promise.reject(refusal) });
+  assert.deepEqual(rejected, { access: null, problem: "denied", error: refusal });
+  const thrown = await requestMidiAccess({ requestMIDIAccess: () => { throw refusal; } });
+  assert.equal(thrown.problem, "denied");
+
+  const { navigator } = mockNavigator();
+  const granted = await requestMidiAccess(navigator);
+  assert.equal(granted.problem, null);
+  assert.equal(granted.access.outputs.size, 1);
+});
+
+test("a chord goes out as note on/off on the chord channel", async () => {
+  const { sent, send } = await openPort();
+  const output = createPerformanceMidiOutput(send, { ...SETTINGS, chordChannel: 3 }, 1);
+  output.play({ voice: "chord", type: "attack", notes: ["C4", "E4", "G4"] });
+  output.play({ voice: "bass", type: "attack", notes: ["C2"] });
+  output.play({ voice: "chord", type: "release", notes: ["C4", "E4", "G4"] });
+  assert.deepEqual(sent, [
+    [0x92, 60, 100], [0x92, 64, 100], [0x92, 67, 100],
+    [0x92, 36, 100],
+    [0x82, 60, 0], [0x82, 64, 0], [0x82, 67, 0]
+  ]);
+});
+
+test("a lead glide bends within the bend range and strikes a new note past it", async () => {
+  const { sent, send } = await openPort();
+  const output = createPerformanceMidiOutput(send, SETTINGS, 1);
+  output.play({ voice: "lead", index: 0, type: "attack", freq: 440 }); // A4
+  output.play({ voice: "lead", index: 0, type: "glide", freq: 440 * 2 ** (1 / 12) }); // up a semitone
+  output.play({ voice: "lead", index: 0, type: "glide", freq: 440 * 2 ** (5 / 12) }); // on to D5
+  output.play({ voice: "lead", index: 0, type: "release", freq: 440 * 2 ** (5 / 12) });
+  assert.deepEqual(sent, [
+    [0xE1, 0, 64], [0x91, 69, 100], // centred bend, then A4
+    [0xE1, 0, 96], // +1 semitone of 2: 8192 + 4096
+    [0xE1, 0, 64], [0x91, 74, 100], [0x81, 69, 0], // D5 struck before A4 lets go
+    [0x81, 74, 0], [0xE1, 0, 64]
+  ]);
+});
+
+test("each lead voice bends on its own channel", async () => {
+  const { sent, send } = await openPort();
+  const output = createPerformanceMidiOutput(send, SETTINGS, 2);
+  output.play({ voice: "lead", index: 0, type: "attack", freq: 440 });
+  output.play({ voice: "lead", index: 1, type: "attack", freq: 220 });
+  output.play({ voice: "lead", index: 2, type: "attack", freq: 110 }); // beyond the voice count
+  assert.deepEqual(sent.filter(([status]) => (status & 0xF0) === 0x90), [[0x91, 69, 100], [0x92, 57, 100]]);
+});
+
+test("lead voices step over the chord channel and stop at channel 16", () => {
+  assert.deepEqual(getLeadMidiChannels({ ...SETTINGS, chordChannel: 3 }, 3), [2, 4, 5]);
+  assert.deepEqual(getLeadMidiChannels({ ...SETTINGS, leadChannel: 15 }, 4), [15, 16]);
+  assert.deepEqual(getLeadMidiChannels({ ...SETTINGS, leadChannel: 16, chordChannel: 16 }, 1), []);
+  assert.deepEqual(getLeadMidiChannels({ ...SETTINGS, leadMode: "mpe", leadChannel: 9, chordChannel: 2 }, 2), [3, 4]);
+});
+
+test("a voice without a channel isn't sent", async () => {
+  const { sent, send } = await openPort();
+  const output = createPerformanceMidiOutput(send, { ...SETTINGS, leadChannel: 16 }, 2);
+  assert.deepEqual(output.leadChannels, [16]);
+  output.play({ voice: "lead", index: 1, type: "attack", freq: 440 });
+  assert.deepEqual(sent, []);
+});
+
+test("configure sets the bend range by RPN, and MPE announces its zone", async () => {
+  const rpn = (status, value) => [[status, 101, 0], [status, 100, 0], [status, 6, value], [status, 38, 0], [status, 101, 127], [status, 100, 127]];
+
+  const bend = await openPort();
+  createPerformanceMidiOutput(bend.send, { ...SETTINGS, bendRange: 12 }, 2).configure();
+  assert.deepEqual(bend.sent, [...rpn(0xB1, 12), ...rpn(0xB2, 12)]);
+
+  const mpe = await openPort();
+  createPerformanceMidiOutput(mpe.send, { ...SETTINGS, leadMode: "mpe" }, 2).configure();
+  const zone = [[0xB0, 101, 0], [0xB0, 100, 6], [0xB0, 6, 2], [0xB0, 38, 0], [0xB0, 101, 127], [0xB0, 100, 127]];
+  assert.deepEqual(mpe.sent, [...zone, ...rpn(0xB1, 48), ...rpn(0xB2, 48)]);
+
+  // With the chords on channel 2 the zone has to reach channel 4
+  const around = await openPort();
+  createPerformanceMidiOutput(around.send, { ...SETTINGS, leadMode: "mpe", chordChannel: 2 }, 2).configure();
+  assert.deepEqual(around.sent.slice(0, 6).map(([, cc, v]) => [cc, v]), [[101, 0], [100, 6], [6, 3], [38, 0], [101, 127], [100, 127]]);
+});
+
+test("panic releases held lead notes and sends all notes off on every channel", async () => {
+  const { sent, send } = await openPort();
+  const output = createPerformanceMidiOutput(send, SETTINGS, 2);
+  output.play({ voice: "lead", index: 1, type: "attack", freq: 440 });
+  sent.length = 0;
+  output.panic();
+  assert.deepEqual(sent, [[0x82, 69, 0], [0xE2, 0, 64], [0xB0, 123, 0], [0xB1, 123, 0], [0xB2, 123, 0]]);
+});
+
+test("the tracker keeps the note when a glide comes back within range", () => {
+  const sent = [];
+  const tracker = createLeadMidiTracker(message => sent.push(message), 1, 2);
+  tracker.glide(440); // nothing held yet
+  tracker.attack(440);
+  tracker.glide(440 * 2 ** (-2 / 12));
+  assert.deepEqual(sent, [[0xE0, 0, 64], [0x90, 69, 100], [0xE0, 0, 0]]);
+});
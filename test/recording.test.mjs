@@ -0,0 +1,134 @@
+import "./web-audio.mjs";
+import assert from "node:assert/strict";
+import { after, test } from "node:test";
+import * as Tone from "bg-tone";
+import { buildMidiFile, encodeWav, renderRecordingOffline } from "../recording.js";
+
+const MIDI_SETTINGS = { chordChannel: 3, leadChannel: 2, leadMode: "bend", bendRange: 2 };
+
+// Half a second: a C major chord over C, and two theremin voices, the first one gliding
+const RECORDING = {
+  startTime: 1000,
+  endTime: 1500,
+  root: "C",
+  scaleType: "major",
+  events: [
+    { voice: "chord", type: "attack", notes: ["C4", "E4", "G4"], time: 0 },
+    { voice: "bass", type: "attack", notes: ["C2"], time: 0 },
+    { voice: "lead", index: 0, type: "attack", freq: 440, time: 50 },
+    { voice: "lead", index: 1, type: "attack", freq: 220, time: 100 },
+    { voice: "lead", index: 0, type: "glide", freq: 466.16, time: 200 },
+    { voice: "chord", type: "release", notes: ["C4", "E4", "G4"], time: 300 },
+    { voice: "bass", type: "release", notes: ["C2"], time: 300 },
+    { voice: "lead", index: 0, type: "release", freq: 466.16, time: 350 },
+    { voice: "lead", index: 1, type: "release", freq: 220, time: 400 }
+  ]
+};
+
+// What the offline render needs of createAudioGraph's graph
+function createTestGraph() {
+  const reverb = new Tone.Reverb(0.5).toDestination();
+  return {
+    synth: new Tone.PolySynth(Tone.Synth).connect(reverb),
+    bass: new Tone.PolySynth(Tone.Synth).connect(reverb),
+    leadVoices: [0, 1].map(() => new Tone.MonoSynth().connect(reverb)),
+    reverb
+  };
+}
+
+// -> { format, division, tracks: [{ name, channels: Set, statuses: Set }] }
+function parseMidiFile(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const text = (offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+  assert.equal(text(0, 4), "MThd");
+  const trackCount = view.getUint16(10);
+  const tracks = [];
+  let offset = 14;
+  for (let t = 0; t < trackCount; t++) {
+    assert.equal(text(offset, 4), "MTrk");
+    const end = offset + 8 + view.getUint32(offset + 4);
+    const track = { name: null, channels: new Set(), statuses: new Set() };
+    let i = offset + 8;
+    const readVarLen = () => {
+      let value = 0;
+      let byte;
+      do {
+        byte = bytes[i++];
+        value = (value << 7) | (byte & 0x7f);
+      } while (byte & 0x80);
+      return value;
+    };
+    while (i < end) {
+      readVarLen(); // delta time
+      const status = bytes[i++];
+      if (status === 0xFF) {
+        const type = bytes[i++];
+        const length = readVarLen();
+        if (type === 0x03) track.name = text(i, length);
+        i += length;
+      } else {
+        track.channels.add((status & 0x0F) + 1);
+        track.statuses.add(status & 0xF0);
+        i += 2; // only note, control change and pitch bend messages here
+      }
+    }
+    assert.equal(i, end);
+    tracks.push(track);
+    offset = end;
+  }
+  assert.equal(offset, bytes.length);
+  return { format: view.getUint16(8), division: view.getUint16(12), tracks };
+}
+
+after(() => Tone.getContext().dispose()); // stops the realtime context's clock so node can exit
+
+test("the MIDI file has a conductor track, the chords and a track per lead voice", () => {
+  const { format, division, tracks } = parseMidiFile(buildMidiFile(RECORDING, MIDI_SETTINGS));
+  assert.equal(format, 1);
+  assert.equal(division, 480);
+  assert.deepEqual(tracks.map(track => track.name), ["therochord", "Chords", "Theremin", "Theremin 2"]);
+  assert.equal(tracks[0].channels.size, 0);
+  assert.deepEqual([...tracks[1].channels], [3]);
+  assert.deepEqual([...tracks[1].statuses].sort(), [0x80, 0x90]);
+  // The lead channels step over the chord channel, as on the live output
+  assert.deepEqual([...tracks[2].channels], [2]);
+  assert.deepEqual([...tracks[3].channels], [4]);
+  assert.deepEqual([...tracks[2].statuses].sort(), [0x80, 0x90, 0xB0, 0xE0]);
+});
+
+test("a recording without the theremin still gets a theremin track", () => {
+  const chordsOnly = { ...RECORDING, events: RECORDING.events.filter(e => e.voice !== "lead") };
+  const { tracks } = parseMidiFile(buildMidiFile(chordsOnly, MIDI_SETTINGS));
+  assert.deepEqual(tracks.map(track => track.name), ["therochord", "Chords", "Theremin"]);
+});
+
+test("the offline render comes out as a WAV of the recording plus its tail", async () => {
+  const rendered = (await renderRecordingOffline(RECORDING, createTestGraph)).get();
+  const { sampleRate, numberOfChannels } = rendered;
+  assert.equal(rendered.length, Math.round((0.5 + 2) * sampleRate)); // 2 s tail for releases and reverb
+
+  const bytes = await encodeWav(rendered).arrayBuffer();
+  const view = new DataView(bytes);
+  const text = (offset, length) => String.fromCharCode(...new Uint8Array(bytes, offset, length));
+  const dataSize = rendered.length * numberOfChannels * 2;
+  assert.equal(bytes.byteLength, 44 + dataSize);
+  assert.equal(text(0, 4), "RIFF");
+  assert.equal(view.getUint32(4, true), 36 + dataSize);
+  assert.equal(text(8, 8), "WAVEfmt ");
+  assert.equal(view.getUint16(20, true), 1); // PCM
+  assert.equal(view.getUint16(22, true), numberOfChannels);
+  assert.equal(view.getUint32(24, true), sampleRate);
+  assert.equal(view.getUint16(34, true), 16);
+  assert.equal(text(36, 4), "data");
+  assert.equal(view.getUint32(40, true), dataSize);
+
+  // Sound while the chord plays, and only a fading tail by the end
+  const peak = (fromSecond, toSecond) => {
+    let max = 0;
+    const [from, to] = [fromSecond, toSecond].map(second => Math.round(second * sampleRate) * numberOfChannels);
+    for (let i = from; i < to; i++) max = Math.max(max, Math.abs(view.getInt16(44 + i * 2, true)));
+    return max;
+  };
+  assert.ok(peak(0, 0.3) > 1000);
+  assert.ok(peak(2.4, 2.5) < peak(0, 0.3) / 10);
+});
@@ -0,0 +1,144 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { Chord, note } from "bg-tonal";
+import {
+  countParallels,
+  generateVoicingOptions,
+  getBassNote,
+  getBestVoicing,
+  getVoicingPitchClasses,
+  matchVoices
+} from "../voice-leading.js";
+
+const SETTINGS = {
+  style: "close",
+  voices: "auto",
+  budget: 5,
+  low: "C3",
+  high: "C5",
+  keepTopNote: false,
+  avoidParallels: true,
+  avoidDoubledLeadingTone: true
+};
+
+// Chords as app.js builds them: Tonal's chord plus the root
+const chord = symbol => ({ ...Chord.get(symbol), root: Chord.get(symbol).tonic });
+const midis = voicing => voicing.map(n => note(n).midi);
+
+// The best voicing of each chord in turn, led from the first chord's stacking
+function leadProgression(symbols, settings = SETTINGS) {
+  let last = null;
+  return symbols.map(symbol => {
+    const next = chord(symbol);
+    const options = generateVoicingOptions(getVoicingPitchClasses(next, settings, "C"), settings);
+    last = last ? getBestVoicing(last, options, settings) : options[0];
+    return last;
+  });
+}
+
+// A close voicing with its lowest voice an octave up: where that voice lands (counted
+// from the top) tells which voice was dropped
+function droppedVoiceFromTop(voicing) {
+  const [lowest, ...rest] = midis(voicing);
+  const closed = [...rest, lowest + 12].sort((a, b) => a - b);
+  assert.ok(closed[closed.length - 1] - closed[0] < 12, `${voicing} isn't a dropped close voicing`);
+  return closed.length - closed.indexOf(lowest + 12);
+}
+
+test("matchVoices moves each voice to the nearest note without crossing", () => {
+  assert.deepEqual(matchVoices([60, 64, 67], [60, 65, 69]), { cost: 3, pairs: [[60, 60], [64, 65], [67, 69]] });
+  assert.deepEqual(matchVoices([59, 65, 67], [60, 64, 67]), { cost: 2, pairs: [[59, 60], [65, 64], [67, 67]] });
+});
+
+test("matchVoices splits and merges voices between chords of different sizes", () => {
+  const split = matchVoices([60, 64, 67], [60, 64, 67, 71]);
+  assert.equal(split.cost, 4);
+  assert.deepEqual(split.pairs.map(([, to]) => to), [60, 64, 67, 71]);
+  const merge = matchVoices([60, 64, 67, 71], [60, 64, 67]);
+  assert.equal(merge.cost, 4);
+  assert.deepEqual(merge.pairs.map(([from]) => from), [60, 64, 67, 71]);
+});
+
+test("countParallels finds fifths and octaves moving the same way", () => {
+  assert.equal(countParallels([[60, 62], [67, 69]]), 1); // C-G to D-A
+  assert.equal(countParallels([[48, 50], [60, 62]]), 1); // octaves
+  assert.equal(countParallels([[60, 62], [67, 65]]), 0); // contrary motion
+  assert.equal(countParallels([[60, 60], [67, 69]]), 0); // one voice holds
+  assert.equal(countParallels([[60, 62], [64, 65]]), 0); // third to fifth
+});
+
+test("getVoicingPitchClasses fits the tones to the voice count", () => {
+  assert.deepEqual(getVoicingPitchClasses(chord("C"), SETTINGS, "C"), ["C", "E", "G"]);
+  assert.deepEqual(getVoicingPitchClasses(chord("C"), { ...SETTINGS, voices: "4" }, "C"), ["C", "E", "G", "C"]);
+  // The fifth goes first, then the root
+  assert.deepEqual(getVoicingPitchClasses(chord("G7"), { ...SETTINGS, voices: "3" }, "C"), ["G", "B", "F"]);
+  assert.deepEqual(getVoicingPitchClasses(chord("Cmaj9"), { ...SETTINGS, budget: 4 }, "C"), ["C", "E", "B", "D"]);
+});
+
+test("getVoicingPitchClasses never doubles the leading tone", () => {
+  // B is the leading tone of C: the G chord doubles its root and fifth instead of B
+  const g = getVoicingPitchClasses(chord("G"), { ...SETTINGS, voices: "5" }, "C");
+  assert.equal(g.filter(n => n === "B").length, 1);
+  // On the chord built on it, the bass alone plays B
+  const bdim = getVoicingPitchClasses(chord("Bdim"), { ...SETTINGS, voices: "4" }, "C");
+  assert.equal(bdim.length, 4);
+  assert.ok(!bdim.includes("B"));
+  // Unless the rule is off
+  const unruled = getVoicingPitchClasses(chord("Bdim"), { ...SETTINGS, voices: "4", avoidDoubledLeadingTone: false }, "C");
+  assert.deepEqual(unruled, ["B", "D", "F", "B"]);
+});
+
+test("getBestVoicing leads ii-V-I by step, from triads to sevenths", () => {
+  const [ii, v, i, ii7, v7, imaj7] = leadProgression(["Dm", "G", "C", "Dm7", "G7", "Cmaj7"]);
+  // Triads to sevenths: the extra tone comes in as a fourth voice
+  assert.equal(i.length, 3);
+  assert.equal(ii7.length, 4);
+  [[ii, v], [v, i], [i, ii7], [ii7, v7], [v7, imaj7]].forEach(([from, to]) => {
+    const { pairs } = matchVoices(midis(from), midis(to));
+    pairs.forEach(([a, b]) => assert.ok(Math.abs(b - a) <= 2, `${from} -> ${to} leaps`));
+  });
+});
+
+test("drop 2 and drop 3 voicings drop the right voice", () => {
+  const cmaj7 = getVoicingPitchClasses(chord("Cmaj7"), SETTINGS, "C");
+  const drop2 = generateVoicingOptions(cmaj7, { ...SETTINGS, style: "drop2" });
+  const drop3 = generateVoicingOptions(cmaj7, { ...SETTINGS, style: "drop3" });
+  assert.ok(drop2.length > 0 && drop3.length > 0);
+  drop2.forEach(voicing => assert.equal(droppedVoiceFromTop(voicing), 2));
+  drop3.forEach(voicing => assert.equal(droppedVoiceFromTop(voicing), 3));
+});
+
+test("drop 3 on three voices falls back to drop 2", () => {
+  [{ style: "drop3", voices: "3" }, { style: "drop3", budget: 3 }].forEach(overrides => {
+    const settings = { ...SETTINGS, ...overrides };
+    const triad = getVoicingPitchClasses(chord("G7"), settings, "C");
+    const options = generateVoicingOptions(triad, settings);
+    assert.ok(options.length > 0);
+    options.forEach(voicing => assert.equal(droppedVoiceFromTop(voicing), 2));
+    assert.ok(getBestVoicing(["C4", "E4", "G4"], options, settings));
+  });
+});
+
+test("keep the top note holds the melody when the next chord has it", () => {
+  const options = generateVoicingOptions(getVoicingPitchClasses(chord("Am7"), SETTINGS, "C"), SETTINGS);
+  const free = getBestVoicing(["C4", "E4", "G4"], options, SETTINGS);
+  const kept = getBestVoicing(["C4", "E4", "G4"], options, { ...SETTINGS, keepTopNote: true });
+  assert.notEqual(free[free.length - 1], "G4");
+  assert.equal(kept[kept.length - 1], "G4");
+});
+
+test("the bass takes part in the parallels check", () => {
+  // C2 under C3 E3 G3, then D minor over D2: D3 F3 A3 would double the bass in parallel octaves
+  const last = ["C3", "E3", "G3"];
+  const options = generateVoicingOptions(getVoicingPitchClasses(chord("Dm"), SETTINGS, "C"), SETTINGS);
+  const parallels = voicing => countParallels(matchVoices(midis(last), midis(voicing)).pairs.concat(
+    [[note(getBassNote("C", last)).midi, note(getBassNote("D", voicing)).midi]]
+  ));
+
+  const upperOnly = getBestVoicing(last, options, SETTINGS);
+  assert.ok(parallels(upperOnly) > 0);
+  const best = getBestVoicing(last, options, SETTINGS, getBassNote("C", last), "D");
+  assert.equal(parallels(best), 0);
+  // A pedal bass stays put
+  assert.equal(getBassNote("G2", best), "G2");
+});
@@ -0,0 +1,6 @@
+// Web Audio for Tone under node (pure JS, offline rendering only): import before "bg-tone".
+// Tone only sets up a real context where it finds a browser-like global scope.
+import "web-audio-api/polyfill";
+
+globalThis.self = globalThis;
+globalThis.TONE_SILENCE_LOGGING = true;
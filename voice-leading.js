@@ -0,0 +1,235 @@
+import { Note, note } from "bg-tonal";
+
+// -------------------------------------------------------------------
+// Voice Leading
+// -------------------------------------------------------------------
+// Chooses the upper voicing of each chord (the bass note goes below it) so the voices
+// move as little as possible from the previous chord:
+// 1. the chord tones are fitted to the voice count (doubling or leaving out tones),
+// 2. every inversion is laid out in the chosen style (close, open, drop 2, drop 3)
+//    within the voicing range,
+// 3. each candidate is scored by the cheapest way to move the previous chord's voices
+//    onto it, plus penalties for parallel fifths/octaves (the bass included) and, in
+//    "keep the top note" mode, for any movement of the top voice.
+// Kept free of the page and of appState: the settings come in as arguments (see
+// DEFAULT_VOICE_LEADING in app.js), so the solver runs under node for the tests.
+const VOICE_LEADING_PARALLEL_PENALTY = 6; // costs as much as moving a voice a tritone
+const VOICE_LEADING_TOP_NOTE_WEIGHT = 100; // top voice movement outweighs everything else
+
+// Stack the notes upward from the given octave, each above the one before
+export function getCloseVoicing(notes, octave) {
+  const voicing = [];
+  let prevMidi = -Infinity;
+  notes.forEach(n => {
+    let currentOctave = octave;
+    while (note(n + currentOctave).midi <= prevMidi) currentOctave++;
+    voicing.push(n + currentOctave);
+    prevMidi = note(n + currentOctave).midi;
+  });
+  return voicing;
+}
+
+// Tones left out first when a chord has more tones than voices: the perfect fifth, the
+// eleventh (it rubs against the third), the root (the bass still plays it), the ninth,
+// then a diminished fifth; anything further goes from the top down
+const VOICING_OMIT_ORDER = ["5P", "11P", "1P", "9M", "5d"];
+
+// Intervals of the chord tones from the root: Tonal's for modified chords, measured otherwise
+export function getChordIntervals(chord) {
+  return chord.intervals || chord.notes.map(n => Note.distance(chord.notes[0], n));
+}
+
+// The pitches cut down to the given count, leaving tones out in VOICING_OMIT_ORDER
+export function omitChordTones(chord, pitches, count) {
+  const intervals = getChordIntervals(chord);
+  const omitOrder = [
+    ...VOICING_OMIT_ORDER.map(interval => chord.notes[intervals.indexOf(interval)]),
+    ...[...chord.notes].reverse()
+  ];
+  const kept = [...pitches];
+  while (kept.length > count) {
+    const omitted = omitOrder.find(n => n && kept.includes(n));
+    kept.splice(kept.indexOf(omitted), 1);
+  }
+  return kept;
+}
+
+// Chord tones fitted to the voice count ("auto" = every tone, up to the voice budget):
+// extra voices double the root, then the fifth, then the third; missing voices leave
+// tones out in VOICING_OMIT_ORDER. The leading tone of the key (keyRoot) is never
+// doubled: on a chord built on it, the bass alone plays the root and the third is
+// doubled instead.
+export function getVoicingPitchClasses(chord, settings, keyRoot) {
+  const { voices, budget, avoidDoubledLeadingTone } = settings;
+  const count = voices === "auto" ? Math.min(chord.notes.length, budget) : parseInt(voices, 10);
+  const leadingChroma = (note(keyRoot).chroma + 11) % 12;
+  const isLeadingTone = n => avoidDoubledLeadingTone && note(n).chroma === leadingChroma;
+  const intervals = getChordIntervals(chord);
+  const toneOf = number => chord.notes[intervals.findIndex(interval => interval.startsWith(number))];
+  const [root, third, fifth] = [chord.notes[0], toneOf("3"), toneOf("5")];
+
+  let pitches = [...chord.notes];
+  let doubles = [root, fifth, third];
+  if (isLeadingTone(chord.root)) {
+    pitches = pitches.filter(n => n !== chord.root);
+    doubles = [third, fifth];
+  }
+  doubles = doubles.filter(n => n && !isLeadingTone(n));
+
+  pitches = omitChordTones(chord, pitches, count);
+  for (let i = 0; pitches.length < count && doubles.length > 0; i++) {
+    pitches.push(doubles[i % doubles.length]);
+  }
+  return pitches;
+}
+
+// The voicing with one of its voices (counted from the top) an octave lower
+export function dropVoice(voicing, fromTop) {
+  const index = voicing.length - fromTop;
+  const dropped = voicing.map((n, i) => {
+    if (i !== index) return n;
+    const { pc, oct } = note(n);
+    return pc + (oct - 1);
+  });
+  return dropped.sort((a, b) => note(a).midi - note(b).midi);
+}
+
+// A style that needs more voices than the chord has falls back to the next simpler one:
+// drop 3 to drop 2 below four voices, drop 2 and open to close below three
+export function getVoicingsInStyle(closeVoicing, style) {
+  const styles = {
+    close: () => [closeVoicing],
+    drop2: () => (closeVoicing.length >= 3 ? [dropVoice(closeVoicing, 2)] : styles.close()),
+    drop3: () => (closeVoicing.length >= 4 ? [dropVoice(closeVoicing, 3)] : styles.drop2()),
+    // Spread over more than an octave: drop 2 for triads, drop 2 and 4 above that
+    open: () => {
+      if (closeVoicing.length < 3) return styles.close();
+      const drop2 = dropVoice(closeVoicing, 2);
+      return closeVoicing.length >= 4 ? [dropVoice(drop2, 4)] : [drop2];
+    }
+  };
+  if (style === "any") return Object.values(styles).flatMap(build => build());
+  return styles[style]();
+}
+
+// Every inversion of the pitch classes, in the chosen style, inside the voicing range.
+// When nothing fits, the candidates that stick out of the range the least; when the
+// style yields nothing at all (every drop landed a double on its twin), close voicings.
+export function generateVoicingOptions(pitchClasses, settings) {
+  const { style, low, high } = settings;
+  const lowMidi = note(low).midi;
+  const highMidi = note(high).midi;
+
+  const options = new Map();
+  const lowOctave = note(low).oct - 1;
+  const highOctave = note(high).oct;
+  for (let octave = lowOctave; octave <= highOctave; octave++) {
+    pitchClasses.forEach((_, i) => {
+      const inversion = [...pitchClasses.slice(i), ...pitchClasses.slice(0, i)];
+      getVoicingsInStyle(getCloseVoicing(inversion, octave), style).forEach(voicing => {
+        const midis = voicing.map(n => note(n).midi);
+        if (new Set(midis).size < midis.length) return; // a dropped double landed on its twin
+        options.set(midis.join(","), voicing);
+      });
+    });
+  }
+  if (options.size === 0 && style !== "close") {
+    return generateVoicingOptions(pitchClasses, { ...settings, style: "close" });
+  }
+
+  const overflow = voicing => voicing.reduce((sum, n) => {
+    const midi = note(n).midi;
+    return sum + Math.max(0, lowMidi - midi) + Math.max(0, midi - highMidi);
+  }, 0);
+  const candidates = [...options.values()];
+  const leastOverflow = Math.min(...candidates.map(overflow));
+  return candidates.filter(voicing => overflow(voicing) === leastOverflow);
+}
+
+// Cheapest way to move the voices of one chord onto the next, for chords of any size.
+// Both sorted low to high, each voice of the bigger chord pairs with one voice of the
+// smaller (voices split or merge), pairs never cross and every voice is used.
+// -> { cost, pairs: [[fromMidi, toMidi], ...] }
+export function matchVoices(fromMidi, toMidi) {
+  const isSplitting = fromMidi.length < toMidi.length;
+  const big = isSplitting ? toMidi : fromMidi;
+  const small = isSplitting ? fromMidi : toMidi;
+
+  // cost[i][j]: big[0..i] paired with small[0..j], big[i] with small[j]
+  const cost = big.map(() => small.map(() => Infinity));
+  big.forEach((b, i) => {
+    small.forEach((sm, j) => {
+      const distance = Math.abs(b - sm);
+      if (i === 0) {
+        if (j === 0) cost[i][j] = distance;
+        return;
+      }
+      cost[i][j] = distance + Math.min(cost[i - 1][j], j > 0 ? cost[i - 1][j - 1] : Infinity);
+    });
+  });
+
+  const pairs = [];
+  let j = small.length - 1;
+  for (let i = big.length - 1; i >= 0; i--) {
+    pairs.unshift(isSplitting ? [small[j], big[i]] : [big[i], small[j]]);
+    if (i > 0 && j > 0 && cost[i - 1][j - 1] <= cost[i - 1][j]) j--;
+  }
+  return { cost: cost[big.length - 1][small.length - 1], pairs };
+}
+
+// Pairs of voices moving the same way from one perfect fifth or octave to another
+export function countParallels(pairs) {
+  let count = 0;
+  pairs.forEach(([from1, to1], i) => {
+    pairs.slice(i + 1).forEach(([from2, to2]) => {
+      if (from1 === to1 || from2 === to2 || from1 === from2) return;
+      if (Math.sign(to1 - from1) !== Math.sign(to2 - from2)) return;
+      const before = Math.abs(from2 - from1) % 12;
+      const after = Math.abs(to2 - to1) % 12;
+      if (before === after && (before === 7 || before === 0)) count++;
+    });
+  });
+  return count;
+}
+
+// The bass note under an upper voicing: a pitch class is placed in the octave below the
+// lowest upper voice; a note with an octave (a pedal bass) stays where it is
+export function getBassNote(bass, upperVoicing) {
+  if (note(bass).oct !== undefined) return bass;
+  const lowest = [...upperVoicing].sort((a, b) => note(a).midi - note(b).midi)[0];
+  return bass + (note(lowest).oct - 1);
+}
+
+// lastBassMidi/nextBassMidi: the bass of each chord, or null to leave the bass out
+export function getVoiceLeadingCost(lastMidi, nextMidi, settings, lastBassMidi = null, nextBassMidi = null) {
+  const { keepTopNote, avoidParallels } = settings;
+  const { cost, pairs } = matchVoices(lastMidi, nextMidi);
+  let total = cost;
+  if (avoidParallels) {
+    const hasBass = lastBassMidi !== null && nextBassMidi !== null;
+    const voices = hasBass ? [[lastBassMidi, nextBassMidi], ...pairs] : pairs;
+    total += countParallels(voices) * VOICE_LEADING_PARALLEL_PENALTY;
+  }
+  if (keepTopNote) total += Math.abs(nextMidi[nextMidi.length - 1] - lastMidi[lastMidi.length - 1]) * VOICE_LEADING_TOP_NOTE_WEIGHT;
+  return total;
+}
+
+// The option led most smoothly from lastVoicing. lastBass is the bass note played under
+// it (null when unknown), nextBass the pitch class or pedal note under the next chord.
+export function getBestVoicing(lastVoicing, options, settings, lastBass = null, nextBass = null) {
+  const getMidi = (n) => note(n).midi;
+  const lastMidi = lastVoicing.map(getMidi).sort((a, b) => a - b);
+  const lastBassMidi = lastBass ? getMidi(lastBass) : null;
+
+  let best = options[0];
+  let minCost = Infinity;
+  options.forEach(opt => {
+    const nextBassMidi = nextBass ? getMidi(getBassNote(nextBass, opt)) : null;
+    const cost = getVoiceLeadingCost(lastMidi, opt.map(getMidi), settings, lastBassMidi, nextBassMidi);
+    if (cost < minCost) {
+      minCost = cost;
+      best = opt;
+    }
+  });
+  return best;
+}